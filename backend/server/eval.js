@@ -10,9 +10,11 @@
  *   node eval.js --find <traceId>   # Find specific log
  *   node eval.js --risk             # Show high-risk interactions
  *   node eval.js --slow             # Show slowest interactions
+ *   node eval.js --cassette <traceId> # Show the recorded cassette for a trace
  */
 
 import { analyzeEvalLogs, findLogByTraceId, detectRegression } from './src/utils/logAnalysis.js';
+import { findCassetteByTraceId } from './src/providers/cassette.js';
 
 const command = process.argv[2];
 const arg = process.argv[3];
@@ -46,6 +48,13 @@ async function showSummary() {
   console.log(`  High risk interactions: ${report.safety.highRiskCount}`);
   console.log(`  High risk rate: ${report.safety.highRiskRate}%`);
   
+  console.log('\n🔁 Repair Loop:');
+  console.log(`  Avg attempts: ${report.repair.avgAttempts}`);
+  console.log(`  Retried: ${report.repair.retriedCount}/${report.summary.totalInteractions} (${report.repair.retryRate}%)`);
+  console.log(`  Repaired: ${report.repair.repairedCount}`);
+  console.log(`  Failed after all attempts: ${report.repair.failedCount}`);
+  console.log(`  Cancelled by client: ${report.cancellation.cancelledCount}/${report.summary.totalInteractions} (${report.cancellation.cancelRate}%)`);
+  
   if (report.quality.highRiskRate > 10) {
     console.log('\n⚠️  WARNING: High risk rate > 10%. Prompt may need refinement.');
   }
@@ -74,6 +83,7 @@ async function findLog(traceId) {
   console.log(`Risk Score: ${log.riskScore}`);
   console.log(`Confidence: ${log.confidence}`);
   console.log(`Tokens: ${log.tokens}`);
+  console.log(`Attempts: ${log.attemptCount || 1} (${log.repairOutcome || 'unknown'})`);
   console.log(`\nPrompt length: ${log.promptLength} chars`);
   console.log(`Response length: ${log.responseLength} chars`);
   
@@ -84,6 +94,29 @@ async function findLog(traceId) {
   console.log('\n');
 }
 
+async function showCassette(traceId) {
+  const cassette = await findCassetteByTraceId(traceId);
+  if (!cassette) {
+    console.log(`No cassette found with traceId: ${traceId}`);
+    console.log('Record cassettes with LLM_CASSETTE_MODE=record');
+    return;
+  }
+  
+  console.log('\n📼 CASSETTE DETAILS');
+  console.log('═'.repeat(50));
+  console.log(`TraceId: ${cassette.traceId}`);
+  console.log(`Key: ${cassette.key}`);
+  console.log(`Recorded: ${cassette.recordedAt}`);
+  console.log(`Provider: ${cassette.provider}`);
+  console.log(`Model: ${cassette.request.model}`);
+  console.log('\nUser prompt:');
+  console.log(cassette.request.user);
+  console.log('\nResponse:');
+  console.log(cassette.response);
+  console.log('\nReplay it with LLM_CASSETTE_MODE=replay and the same request body.');
+  console.log('\n');
+}
+
 async function showLatest() {
   console.log('Latest log functionality - use --find with traceId from logs');
 }
@@ -106,6 +139,9 @@ async function showSlowest() {
       case '--find':
         await findLog(arg);
         break;
+      case '--cassette':
+        await showCassette(arg);
+        break;
       case '--risk':
         await showHighRisk();
         break;
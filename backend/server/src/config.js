@@ -4,18 +4,37 @@
  */
 
 import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
 
 // Load .env file
 dotenv.config();
 
-// Validate required environment variables
-const requiredEnvVars = ['OPENAI_API_KEY'];
+// LLM provider: 'openai' calls the OpenAI API, 'local' generates deterministic content offline
+const llmProvider = process.env.LLM_PROVIDER || 'openai';
+
+// LLM cassettes: 'record' saves every LLM response to disk, 'replay' serves saved responses
+const llmCassetteMode = process.env.LLM_CASSETTE_MODE || 'off';
+
+// Validate required environment variables (the OpenAI key is only needed when OpenAI is actually called)
+const requiredEnvVars = llmProvider === 'openai' && llmCassetteMode !== 'replay' ? ['OPENAI_API_KEY'] : [];
 for (const envVar of requiredEnvVars) {
   if (!process.env[envVar]) {
     throw new Error(`Missing required environment variable: ${envVar}`);
   }
 }
 
+// Time block durations are normalized to multiples of this many minutes
+const durationIncrementMinutes = parseInt(process.env.DURATION_INCREMENT_MINUTES || '15', 10);
+if (!(durationIncrementMinutes > 0 && 60 % durationIncrementMinutes === 0)) {
+  throw new Error('DURATION_INCREMENT_MINUTES must be a whole number of minutes that divides an hour (e.g. 15 or 30)');
+}
+
+// Parse a comma-separated list, ignoring empty entries
+const parseList = (str) => (str || '').split(',').map((item) => item.trim()).filter(Boolean);
+
 // Parse CORS origins from comma-separated string
 const parseCorsOrigins = (str) => {
   if (!str) return ['http://localhost:3000', 'http://localhost:8081'];
@@ -28,10 +47,37 @@ const config = {
   port: parseInt(process.env.PORT || '8081', 10),
   nodeEnv: process.env.NODE_ENV || 'development',
   
+  // LLM provider
+  llmProvider,
+  llmCassetteMode,
+  llmCassetteDir: process.env.LLM_CASSETTE_DIR
+    ? resolve(process.env.LLM_CASSETTE_DIR)
+    : join(__dirname, '../cassettes'),
+
   // OpenAI
   openaiApiKey: process.env.OPENAI_API_KEY,
   openaiModel: process.env.OPENAI_MODEL || 'gpt-4o-mini',
   openaiTimeoutMs: parseInt(process.env.OPENAI_TIMEOUT_MS || '60000', 10),  // 60 seconds for complex generation
+  llmMaxRepairAttempts: parseInt(process.env.LLM_MAX_REPAIR_ATTEMPTS || '2', 10),  // Re-prompts after a rejected response
+  openaiFallbackModels: parseList(process.env.OPENAI_FALLBACK_MODELS),  // Tried in order when the model keeps failing
+  llmMaxRetries: parseInt(process.env.LLM_MAX_RETRIES || '2', 10),  // Retries per model for 429, 5xx and timeouts
+  llmRetryBaseDelayMs: parseInt(process.env.LLM_RETRY_BASE_DELAY_MS || '500', 10),
+  llmRetryMaxDelayMs: parseInt(process.env.LLM_RETRY_MAX_DELAY_MS || '8000', 10),  // Longer Retry-After waits are skipped
+
+  // LLM circuit breaker
+  llmBreakerFailureRate: parseFloat(process.env.LLM_BREAKER_FAILURE_RATE || '0.5'),  // Failure rate that opens the circuit
+  llmBreakerMinimumCalls: parseInt(process.env.LLM_BREAKER_MINIMUM_CALLS || '5', 10),  // Calls in the window before the rate counts
+  llmBreakerWindowMs: parseInt(process.env.LLM_BREAKER_WINDOW_MS || '60000', 10),
+  llmBreakerOpenMs: parseInt(process.env.LLM_BREAKER_OPEN_MS || '30000', 10),  // Open this long before a trial call
+
+  // Generation jobs
+  jobTtlMs: parseInt(process.env.JOB_TTL_MS || '900000', 10),  // Jobs are kept 15 minutes after their last update
+
+  // Streaming
+  sseHeartbeatMs: parseInt(process.env.SSE_HEARTBEAT_MS || '15000', 10),  // Keeps idle event streams open
+
+  // Plan normalization
+  durationIncrementMinutes,
   
   // CORS
   allowedOrigins: parseCorsOrigins(process.env.CORS_ORIGIN),
@@ -12,7 +12,15 @@ import { v4 as uuidv4 } from 'uuid';
 import { networkInterfaces } from 'os';
 import config from './config.js';
 import logger from './utils/logger.js';
+import { requestCancellation, isCancellation } from './utils/cancellation.js';
+import { getProviderHealth } from './providers/index.js';
+import { CircuitState } from './providers/circuitBreaker.js';
 import generateRoutes from './routes/generate.js';
+import exportRoutes from './routes/export.js';
+import scheduleRoutes from './routes/schedule.js';
+import profileRoutes from './routes/profile.js';
+import planRoutes from './routes/plan.js';
+import jobRoutes from './routes/jobs.js';
 
 const app = express();
 
@@ -75,14 +83,27 @@ app.use((req, res, next) => {
   next();
 });
 
-// Health check endpoint
+// Abort a request's LLM calls when its client disconnects
+app.use(requestCancellation);
+
+// Health check endpoint. The server stays up while the LLM circuit is open (fallbacks are
+// served), so that is reported as degraded rather than as a failing check
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok' });
+  const llm = getProviderHealth();
+  res.json({
+    status: llm.circuit.state === CircuitState.CLOSED ? 'ok' : 'degraded',
+    llm,
+  });
 });
 
 // API routes
 app.use('/generate', generateRoutes);
 app.use('/reroll', generateRoutes);
+app.use('/export', exportRoutes);
+app.use('/schedule', scheduleRoutes);
+app.use('/profile', profileRoutes);
+app.use('/plan', planRoutes);
+app.use('/jobs', jobRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -94,6 +115,12 @@ app.use((req, res) => {
 
 // Global error handler
 app.use((err, req, res, next) => {
+  // The client disconnected and its generation was aborted; there is nobody to answer
+  if (isCancellation(err)) {
+    logger.info({ traceId: req.traceId }, 'Request cancelled by client');
+    return;
+  }
+
   // Determine status code
   const statusCode = err.statusCode || 500;
   
@@ -129,6 +156,7 @@ const server = app.listen(config.port, () => {
   logger.info({
     port: config.port,
     nodeEnv: config.nodeEnv,
+    provider: config.llmProvider,
     model: config.openaiModel,
   }, 'Server started successfully');
   
@@ -1,63 +1,152 @@
 /**
  * openaiClient.js
  * OpenAI client with structured JSON schema responses.
+ * Used by the 'openai' LLM provider (see providers/index.js).
  */
 
 import OpenAI from 'openai';
 import config from './config.js';
 import logger from './utils/logger.js';
+import { createCancellationError, isCancellation } from './utils/cancellation.js';
 
-// Initialize OpenAI client
-const client = new OpenAI({
-  apiKey: config.openaiApiKey,
-});
+// OpenAI client, created on first use so the server can run without a key
+// when another LLM provider is configured
+let client = null;
+
+function getClient() {
+  if (!client) {
+    client = new OpenAI({
+      apiKey: config.openaiApiKey,
+      // Retries are handled in respondWithSchema
+      maxRetries: 0,
+    });
+  }
+  return client;
+}
+
+// Statuses worth retrying besides 5xx: request timeout, lock conflict, rate limited
+const RETRYABLE_STATUSES = [408, 409, 429];
+
+// Bad credentials fail every model the same way
+const FATAL_STATUSES = [401, 403];
 
 /**
- * Calls OpenAI with structured JSON schema output.
- * 
- * @param {object} params - Request parameters
- * @param {string} params.model - OpenAI model to use
- * @param {object} params.schema - JSON schema for response
- * @param {string} params.system - System prompt
- * @param {string} params.user - User prompt
- * @param {number} params.timeoutMs - Request timeout in milliseconds
+ * Streams a chat completion, passing each piece of content to onDelta as it arrives.
+ *
+ * @returns {Promise<object>} Completion-shaped { choices: [{ message: { content } }], usage }
+ */
+async function streamCompletion(body, requestOptions, onDelta) {
+  const stream = await getClient().chat.completions.create(
+    { ...body, stream: true, stream_options: { include_usage: true } },
+    requestOptions
+  );
+
+  let content = '';
+  let usage = null;
+  for await (const chunk of stream) {
+    const delta = chunk.choices[0]?.delta?.content;
+    if (delta) {
+      content += delta;
+      onDelta(delta);
+    }
+    usage = chunk.usage || usage;
+  }
+
+  return { choices: [{ message: { content } }], usage };
+}
+
+/**
+ * Reads how long OpenAI asked us to wait (retry-after-ms, or Retry-After in seconds or as
+ * an HTTP date).
+ *
+ * @returns {number|null} Delay in milliseconds, or null if none was sent
+ */
+function parseRetryAfter(headers) {
+  const ms = parseFloat(headers?.['retry-after-ms']);
+  if (Number.isFinite(ms)) {
+    return Math.max(0, ms);
+  }
+
+  const value = headers?.['retry-after'];
+  if (!value) {
+    return null;
+  }
+  const seconds = parseFloat(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with jitter: half the capped delay plus a random share of the other half.
+ *
+ * @param {number} retry - Retry number (0 for the first retry)
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(retry) {
+  const delay = Math.min(config.llmRetryMaxDelayMs, config.llmRetryBaseDelayMs * 2 ** retry);
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+/**
+ * Waits before a retry; stops early with a cancellation error if the signal fires.
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onCancel = () => {
+      clearTimeout(timeoutId);
+      reject(createCancellationError());
+    };
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', onCancel);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onCancel, { once: true });
+  });
+}
+
+/**
+ * Makes one OpenAI call.
+ *
  * @returns {Promise<string>} Response text content
- * @throws {Error} On timeout or OpenAI API errors
+ * @throws {Error} Cancellation error, 504 on timeout or 502 on API errors. Timeouts and
+ *   API errors carry `retryable`, `fatal` (bad credentials) and `retryAfterMs`.
  */
-export async function respondWithSchema({
-  model,
-  schema,
-  system,
-  user,
-  timeoutMs = config.openaiTimeoutMs,
-}) {
+async function callModel({ model, schema, system, user, timeoutMs, signal, onDelta }) {
+  // One controller aborts the request on timeout or when the caller cancels
   const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  let timedOut = false;
+  const timeoutId = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const onCancel = () => controller.abort();
+  signal?.addEventListener('abort', onCancel, { once: true });
 
   try {
-    logger.info({ model, timeoutMs }, 'Calling OpenAI API');
-
-    const response = await client.chat.completions.create(
-      {
-        model,
-        messages: [
-          { role: 'system', content: system },
-          { role: 'user', content: user },
-        ],
-        response_format: {
-          type: 'json_schema',
-          json_schema: {
-            name: 'Result',
-            strict: true,
-            schema,
-          },
+    logger.info({ model, timeoutMs, stream: !!onDelta }, 'Calling OpenAI API');
+
+    const body = {
+      model,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: user },
+      ],
+      response_format: {
+        type: 'json_schema',
+        json_schema: {
+          name: 'Result',
+          strict: true,
+          schema,
         },
-        temperature: 0.3,
       },
-      { signal: controller.signal }
-    );
-
-    clearTimeout(timeoutId);
+      temperature: 0.3,
+    };
+    const response = onDelta
+      ? await streamCompletion(body, { signal: controller.signal }, onDelta)
+      : await getClient().chat.completions.create(body, { signal: controller.signal });
 
     const content = response.choices[0]?.message?.content;
     if (!content) {
@@ -65,26 +154,120 @@ export async function respondWithSchema({
     }
 
     logger.info({ 
+      model,
       tokens: response.usage?.total_tokens 
     }, 'OpenAI API call successful');
 
     return content;
   } catch (error) {
-    clearTimeout(timeoutId);
+    if (signal?.aborted) {
+      logger.info({ model }, 'OpenAI request cancelled');
+      throw createCancellationError();
+    }
 
-    if (error.name === 'AbortError') {
-      logger.error({ timeoutMs }, 'OpenAI request timed out');
+    if (timedOut) {
+      logger.error({ model, timeoutMs }, 'OpenAI request timed out');
       const timeoutError = new Error('OpenAI request timed out');
       timeoutError.statusCode = 504;
+      timeoutError.retryable = true;
       throw timeoutError;
     }
 
-    logger.error({ error: error.message }, 'OpenAI API call failed');
+    logger.error({ model, status: error.status, error: error.message }, 'OpenAI API call failed');
     
     const apiError = new Error('OpenAI API request failed');
     apiError.statusCode = 502;
     apiError.originalError = error.message;
+    apiError.upstreamStatus = error.status;
+    apiError.retryable = error instanceof OpenAI.APIConnectionError
+      || RETRYABLE_STATUSES.includes(error.status)
+      || error.status >= 500;
+    apiError.fatal = FATAL_STATUSES.includes(error.status);
+    apiError.retryAfterMs = parseRetryAfter(error.headers);
     throw apiError;
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', onCancel);
   }
 }
 
+/**
+ * Calls OpenAI with structured JSON schema output.
+ *
+ * Retryable failures (429, 5xx, timeouts, connection errors) are retried up to
+ * config.llmMaxRetries times per model, waiting with jittered exponential backoff or as
+ * long as Retry-After asks. When a model keeps failing, the next one in
+ * config.openaiFallbackModels is tried. Bad credentials fail right away.
+ * 
+ * @param {object} params - Request parameters
+ * @param {string} params.model - OpenAI model to use
+ * @param {object} params.schema - JSON schema for response
+ * @param {string} params.system - System prompt
+ * @param {string} params.user - User prompt
+ * @param {number} params.timeoutMs - Timeout of each call in milliseconds
+ * @param {AbortSignal} params.signal - Optional signal that cancels the request
+ * @param {function} params.onDelta - Optional (text) callback; when set, the response is
+ *   streamed and each piece of content is passed to it as it arrives. A retried call
+ *   streams again from the start.
+ * @param {function} params.onCall - Optional callback after every call:
+ *   ({ model, ok, latencyMs, status, error })
+ * @returns {Promise<string>} Response text content
+ * @throws {Error} On cancellation, or the last timeout or OpenAI API error once every
+ *   model has failed
+ */
+export async function respondWithSchema({
+  model,
+  schema,
+  system,
+  user,
+  timeoutMs = config.openaiTimeoutMs,
+  signal,
+  onDelta,
+  onCall,
+}) {
+  if (signal?.aborted) {
+    throw createCancellationError();
+  }
+
+  const models = [model, ...config.openaiFallbackModels.filter((fallback) => fallback !== model)];
+  let lastError = null;
+
+  for (const candidate of models) {
+    for (let retry = 0; retry <= config.llmMaxRetries; retry++) {
+      const startTime = Date.now();
+      try {
+        const content = await callModel({ model: candidate, schema, system, user, timeoutMs, signal, onDelta });
+        onCall?.({ model: candidate, ok: true, latencyMs: Date.now() - startTime });
+        if (candidate !== model) {
+          logger.warn({ model: candidate, primaryModel: model }, 'Served by fallback model');
+        }
+        return content;
+      } catch (error) {
+        if (isCancellation(error)) throw error;
+
+        onCall?.({
+          model: candidate,
+          ok: false,
+          latencyMs: Date.now() - startTime,
+          status: error.upstreamStatus ?? error.statusCode,
+          error: error.originalError || error.message,
+        });
+        lastError = error;
+
+        if (error.fatal) throw error;
+        if (!error.retryable || retry === config.llmMaxRetries) break;
+
+        const delayMs = error.retryAfterMs ?? backoffDelay(retry);
+        if (delayMs > config.llmRetryMaxDelayMs) {
+          logger.warn({ model: candidate, delayMs }, 'Retry-After is longer than the maximum retry delay, not retrying');
+          break;
+        }
+
+        logger.warn({ model: candidate, retry: retry + 1, delayMs, status: error.upstreamStatus }, 'Retrying OpenAI request');
+        await sleep(delayMs, signal);
+      }
+    }
+  }
+
+  throw lastError;
+}
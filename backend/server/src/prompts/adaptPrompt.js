@@ -0,0 +1,76 @@
+/**
+ * adaptPrompt.js
+ * Generates prompts for next week's plan, adapted to last week's progress.
+ * Reuses the routine prompt and adds a summary of what was done, skipped and overrun.
+ */
+
+import { buildRoutinePrompt } from './routinePrompt.js';
+import { CATEGORY_NAMES } from '../utils/categories.js';
+
+/**
+ * Generates the prompt for an adapted next-week plan.
+ *
+ * @param {object} profile - User profile
+ * @param {object} preferences - Optional generation preferences
+ * @param {object} options - Adaptation context
+ * @param {string} options.weekOf - Monday of the next week (YYYY-MM-DD)
+ * @param {object} options.analysis - Result of analyzeProgress
+ * @returns {object} { system, user, schema, weekOf }
+ */
+export function buildAdaptPrompt(profile, preferences, { weekOf, analysis }) {
+  const routine = buildRoutinePrompt(profile, preferences, { weekOf });
+  const {
+    completionRate,
+    categories,
+    skippedCategories,
+    completedMilestones,
+    openMilestones,
+    overrunDays,
+    scopeDown,
+    raiseDifficulty,
+    streak,
+  } = analysis;
+
+  const lines = [];
+
+  if (completionRate !== null) {
+    lines.push(`Completion rate: ${Math.round(completionRate * 100)}% of finished tasks were done`);
+  }
+  for (const [category, stats] of Object.entries(categories)) {
+    lines.push(`${CATEGORY_NAMES[category]}: ${stats.done} done, ${stats.skipped} skipped`);
+  }
+  if (streak?.currentStreak !== undefined) {
+    lines.push(`Current streak: ${streak.currentStreak} day(s)`);
+  }
+
+  const instructions = [];
+  for (const category of skippedCategories) {
+    instructions.push(`- ${CATEGORY_NAMES[category]} was mostly skipped: use shorter blocks (0.25-0.75h) with easier, more concrete tasks`);
+  }
+  if (scopeDown) {
+    instructions.push(
+      `- Tasks took longer than planned on ${overrunDays.map((d) => `${d.day} (${d.loggedHours}h logged)`).join(', ')}: scope each task down so it fits its block`
+    );
+  }
+  if (completedMilestones.length > 0) {
+    instructions.push(`- These milestones were completed; set the next, harder step for each instead of repeating them:
+${completedMilestones.map((m) => `  - ${m}`).join('\n')}`);
+  }
+  if (openMilestones.length > 0) {
+    instructions.push(`- These milestones were not completed; carry them over, broken into smaller steps if needed:
+${openMilestones.map((m) => `  - ${m}`).join('\n')}`);
+  }
+  if (raiseDifficulty) {
+    instructions.push('- Nearly every task was completed: keep the same balance and raise the difficulty slightly');
+  }
+
+  const user = `${routine.user}
+
+PROGRESS FROM LAST WEEK:
+${lines.join('\n') || 'No tasks were tracked.'}
+
+ADAPT NEXT WEEK AS FOLLOWS:
+${instructions.join('\n') || '- Keep the same balance as last week'}`;
+
+  return { ...routine, user };
+}
@@ -6,6 +6,7 @@
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { buildConstraintsText, describeDayBudgets } from '../utils/constraints.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -38,16 +39,15 @@ CRITICAL REQUIREMENTS:
  * @returns {object} { system, user, schema }
  */
 export function buildPrepPrompt(profile) {
-  const constraintsText = profile.constraints?.length
-    ? `\nConstraints: ${profile.constraints.join(', ')}`
-    : '';
+  const constraintsText = buildConstraintsText(profile);
+  const dayBudgetsText = describeDayBudgets(profile);
 
   const userPrompt = `Generate a comprehensive interview prep pack for:
 
 Name: ${profile.name}
 Current Stage: ${profile.stage}
 Target Role: ${profile.targetRole}
-Daily Time Budget: ${profile.timeBudgetHoursPerDay} hours${constraintsText}
+Daily Time Budget: ${profile.timeBudgetHoursPerDay} hours${dayBudgetsText ? ` by default; per day: ${dayBudgetsText}` : ''}${constraintsText}
 
 REQUIREMENTS:
 
@@ -67,7 +67,7 @@ REQUIREMENTS:
    - Wed: Role-specific (e.g., iOS UI challenges, API design)
    - Thu: Hard problems or system design
    - Fri: Mock interview simulation
-   Each day should have 2-4 specific drills.
+   Each day should have 2-4 specific drills.${dayBudgetsText ? '\n   Size each day\'s drills to fit that day\'s budget (fewer drills on short days).' : ''}
 
 3. STARTER QUESTIONS:
    Provide 5-7 practice questions appropriate for ${profile.targetRole}:
@@ -0,0 +1,116 @@
+/**
+ * programPrompt.js
+ * Generates prompts for multi-week programs with progressive difficulty.
+ * Each week reuses the routine prompt and adds its phase and the milestones
+ * carried forward from earlier weeks.
+ */
+
+import { buildRoutinePrompt } from './routinePrompt.js';
+
+export const MIN_PROGRAM_WEEKS = 1;
+export const MAX_PROGRAM_WEEKS = 12;
+
+/**
+ * Program phases, in order
+ */
+export const PROGRAM_PHASES = {
+  warmup: {
+    name: 'Warm-up',
+    focus: 'Rebuild fundamentals and habits',
+    guidance: [
+      'Mostly easy problems on core data structures (arrays, strings, hash maps, linked lists)',
+      'Review role-specific fundamentals from the ground up',
+      'Set up a portfolio project and an application tracker',
+    ],
+  },
+  core: {
+    name: 'Core Patterns',
+    focus: 'Learn and drill the main interview patterns',
+    guidance: [
+      'Mostly medium problems organized by pattern (two pointers, sliding window, BFS/DFS, DP)',
+      'Deeper role-specific topics and intro system design',
+      'Steady applications and networking every day',
+    ],
+  },
+  mocks: {
+    name: 'Mock Interviews',
+    focus: 'Simulate real interviews under time pressure',
+    guidance: [
+      'Timed medium and hard problems, 2-3 full mock interviews per week',
+      'Behavioral stories rehearsed out loud',
+      'System design or role-specific design practice',
+    ],
+  },
+  taper: {
+    name: 'Taper',
+    focus: 'Consolidate and rest before interviews',
+    guidance: [
+      'Lighter load: re-solve previously missed problems instead of new hard ones',
+      'Review notes, pattern cheat sheets and behavioral stories',
+      'Keep blocks short and protect rest before interview days',
+    ],
+  },
+};
+
+/**
+ * Assigns a phase to every week of a program.
+ * Roughly 20% warm-up, 25% mocks, a final taper week, and core patterns in between.
+ *
+ * @param {number} totalWeeks - Program length in weeks
+ * @returns {string[]} Phase key per week
+ */
+export function planProgramPhases(totalWeeks) {
+  if (totalWeeks === 1) return ['core'];
+  if (totalWeeks === 2) return ['warmup', 'mocks'];
+  if (totalWeeks === 3) return ['warmup', 'core', 'taper'];
+
+  const warmup = Math.max(1, Math.round(totalWeeks * 0.2));
+  const mocks = Math.max(1, Math.round(totalWeeks * 0.25));
+  const core = totalWeeks - warmup - mocks - 1;
+
+  return [
+    ...Array(warmup).fill('warmup'),
+    ...Array(core).fill('core'),
+    ...Array(mocks).fill('mocks'),
+    'taper',
+  ];
+}
+
+/**
+ * Generates the prompt for one week of a program.
+ *
+ * @param {object} profile - User profile
+ * @param {object} preferences - Optional generation preferences
+ * @param {object} programWeek - Week context
+ * @param {number} programWeek.weekNumber - 1-based week number
+ * @param {number} programWeek.totalWeeks - Program length
+ * @param {string} programWeek.phase - Phase key (see PROGRAM_PHASES)
+ * @param {string} programWeek.weekOf - Monday of this week (YYYY-MM-DD)
+ * @param {string[]} programWeek.carriedMilestones - Milestones from earlier weeks
+ * @param {string} programWeek.interviewDate - Optional interview date (YYYY-MM-DD)
+ * @returns {object} { system, user, schema, weekOf }
+ */
+export function buildProgramWeekPrompt(profile, preferences, programWeek) {
+  const { weekNumber, totalWeeks, phase, weekOf, carriedMilestones = [], interviewDate } = programWeek;
+  const routine = buildRoutinePrompt(profile, preferences, { weekOf });
+  const phaseInfo = PROGRAM_PHASES[phase];
+
+  const interviewText = interviewDate ? `\nInterviews start on: ${interviewDate}` : '';
+  const milestonesText = carriedMilestones.length
+    ? `Milestones from earlier weeks (build on these; advance them instead of repeating them):
+${carriedMilestones.map((m) => `- ${m}`).join('\n')}`
+    : 'This is the first week: set foundational milestones that later weeks can build on.';
+
+  const user = `${routine.user}
+
+PROGRAM CONTEXT:
+This is week ${weekNumber} of a ${totalWeeks}-week interview preparation program.${interviewText}
+Phase: ${phaseInfo.name} - ${phaseInfo.focus}
+${phaseInfo.guidance.map((g) => `- ${g}`).join('\n')}
+
+${milestonesText}
+
+Make the difficulty and milestones of this week match the ${phaseInfo.name} phase.`;
+
+  return { ...routine, user };
+}
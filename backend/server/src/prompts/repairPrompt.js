@@ -0,0 +1,27 @@
+/**
+ * repairPrompt.js
+ * Builds follow-up prompts that ask the model to fix a rejected response.
+ */
+
+/**
+ * Appends the rejected response and the problems found in it to the original user prompt.
+ *
+ * @param {string} userPrompt - Original user prompt
+ * @param {string} previousResponse - Response text from the previous attempt
+ * @param {string[]} issues - Schema errors or quality issues from the previous attempt
+ * @returns {string} Repair user prompt
+ */
+export function buildRepairPrompt(userPrompt, previousResponse, issues) {
+  const issueList = issues.map((issue) => `- ${issue}`).join('\n');
+
+  return `${userPrompt}
+
+YOUR PREVIOUS RESPONSE:
+${previousResponse}
+
+IT WAS REJECTED FOR THESE PROBLEMS:
+${issueList}
+
+Fix every problem listed above and output the complete JSON again.
+Keep the parts of the previous response that were not mentioned.`;
+}
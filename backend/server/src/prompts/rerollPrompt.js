@@ -6,13 +6,33 @@
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { CATEGORY_NAMES } from '../utils/categories.js';
+import { buildConstraintsText, describeDayBudgets, resolveAvailableDays, resolveDayBudgets } from '../utils/constraints.js';
+import { dayNameOf } from '../utils/week.js';
+import { buildPreferencesText, resolveBlockBounds } from '../utils/preferences.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Load plan schema for reference
+// Load plan and prep schemas for reference
 const planSchemaPath = join(__dirname, '../schemas/plan.schema.json');
 const planSchema = JSON.parse(readFileSync(planSchemaPath, 'utf-8'));
+const prepSchemaPath = join(__dirname, '../schemas/prep.schema.json');
+const prepSchema = JSON.parse(readFileSync(prepSchemaPath, 'utf-8'));
+
+/**
+ * Wraps a top-level schema property into a single-key section schema.
+ */
+function sectionSchema(schema, section) {
+  return {
+    type: 'object',
+    additionalProperties: false,
+    required: [section],
+    properties: {
+      [section]: schema.properties[section],
+    },
+  };
+}
 
 // Define sub-schemas for each rerollable section
 const SECTION_SCHEMAS = {
@@ -40,8 +60,73 @@ const SECTION_SCHEMAS = {
       dailyTasks: planSchema.properties.dailyTasks,
     },
   },
+  milestones: sectionSchema(planSchema, 'milestones'),
+};
+
+// Sub-schemas for each rerollable prep pack section
+const PREP_SECTION_SCHEMAS = Object.fromEntries(
+  ['prepOutline', 'weeklyDrillPlan', 'starterQuestions', 'resources']
+    .map((section) => [section, sectionSchema(prepSchema, section)])
+);
+
+// What a fresh version of each prep section should contain
+const PREP_SECTION_REQUIREMENTS = {
+  prepOutline: `- Create 4-6 NEW outline sections covering DS&A, role-specific skills, behavioral prep,
+  system design (if applicable) and resume/portfolio tips
+- Each section should have 3-5 specific items to study or practice`,
+  weeklyDrillPlan: `- Create a NEW 5-day drill plan, one entry per day from Mon to Fri
+- Progress from warm-up problems to role-specific work, hard problems and a mock interview
+- Each day should have 2-4 specific drills`,
+  starterQuestions: `- Provide 5-7 NEW practice questions (at least 3, at most 10)
+- Mix of easy/medium difficulty covering common patterns
+- Include role-specific questions if applicable
+- Each question should be clearly stated`,
+  resources: `- Provide 5-8 NEW curated resources
+- Include: LeetCode lists, YouTube channels/videos, books, courses, role-specific docs
+- All URLs must be valid and accessible`,
+};
+
+const SECTION_TITLES = {
+  prepOutline: 'PREP OUTLINE',
+  weeklyDrillPlan: 'WEEKLY DRILL PLAN',
+  starterQuestions: 'STARTER QUESTIONS',
+  resources: 'RESOURCES',
 };
 
+// Sections keyed by day, which can be rerolled one day at a time
+export const DAY_SECTIONS = ['timeBlocks', 'dailyTasks'];
+
+const DAY_NAMES = {
+  Mon: 'Monday',
+  Tue: 'Tuesday',
+  Wed: 'Wednesday',
+  Thu: 'Thursday',
+  Fri: 'Friday',
+  Sat: 'Saturday',
+  Sun: 'Sunday',
+};
+
+/**
+ * Schema for a day-scoped reroll: the section object with only the given day.
+ */
+function buildDaySchema(section, day) {
+  return {
+    type: 'object',
+    additionalProperties: false,
+    required: [section],
+    properties: {
+      [section]: {
+        type: 'object',
+        additionalProperties: false,
+        required: [day],
+        properties: {
+          [day]: planSchema.properties[section].properties[day],
+        },
+      },
+    },
+  };
+}
+
 const SYSTEM_PROMPT = `You are a focused career coach regenerating a specific section of a weekly routine plan.
 
 CRITICAL REQUIREMENTS:
@@ -52,58 +137,193 @@ CRITICAL REQUIREMENTS:
 - Keep the same style, quality, and structure as the original plan
 - Provide variety and new suggestions different from the current version`;
 
+const PREP_SYSTEM_PROMPT = `You are an expert technical interview coach regenerating a specific section of an interview prep pack.
+
+CRITICAL REQUIREMENTS:
+- Output ONLY valid JSON matching the provided schema
+- No markdown, no code blocks, no commentary, no extra fields
+- Regenerate ONLY the requested section with fresh content
+- Tailor all content to the target role and current stage
+- Keep the same style, quality, and structure as the original prep pack
+- Provide variety and new suggestions different from the current version`;
+
+/**
+ * Lists pinned items that must come back unchanged.
+ */
+function buildPinnedText(section, currentPlan, pinned) {
+  const lines = Object.entries(pinned).flatMap(([day, labels]) => (section === 'timeBlocks'
+    ? currentPlan.timeBlocks[day]
+      .filter((block) => labels.includes(block.label))
+      .map((block) => `- ${day}: "${block.label}" (${block.durationHours}h)`)
+    : labels.map((label) => `- ${day}: "${label}"`)));
+
+  if (lines.length === 0) return '';
+
+  return `
+
+PINNED (the user wants to keep these; include each one exactly as written${section === 'timeBlocks' ? ', with the same duration' : ''}):
+${lines.join('\n')}`;
+}
+
+/**
+ * Folds user feedback and focus weights into the prompt.
+ */
+function buildSteeringText(feedback, focus = {}) {
+  const focusLines = Object.entries(focus)
+    .filter(([, weight]) => weight !== 0)
+    .map(([category, weight]) => `- ${CATEGORY_NAMES[category]}: ${weight > 0 ? 'more' : 'less'} (${weight > 0 ? '+' : ''}${weight})`);
+
+  let text = '';
+  if (feedback) {
+    text += `
+
+USER FEEDBACK (follow it; it matters more than variety):
+"${feedback}"`;
+  }
+  if (focusLines.length > 0) {
+    text += `
+
+FOCUS (relative emphasis from -1 = much less to +1 = much more; shift time and items accordingly):
+${focusLines.join('\n')}`;
+  }
+  return text;
+}
+
+/**
+ * Daily budget for the profile section, with per-day budgets when they differ.
+ */
+function buildBudgetText(profile) {
+  const dayBudgetsText = describeDayBudgets(profile);
+  return `${profile.timeBudgetHoursPerDay} hours${dayBudgetsText ? ` by default; per day: ${dayBudgetsText}` : ''}`;
+}
+
+/**
+ * Week the plan covers, plus the user's local date when known, so the model can tell
+ * which days of the week are already behind them.
+ */
+function buildWeekText(currentPlan, today) {
+  const todayText = today ? `\nToday: ${today} (${DAY_NAMES[dayNameOf(today)]})` : '';
+  return `Current Plan Week: ${currentPlan.weekOf} (Monday)${todayText}`;
+}
+
+/**
+ * Generates the prompt for rerolling a single day of a day-keyed section.
+ */
+function buildDayRerollPrompt(section, profile, currentPlan, day, constraintsText, extraText, weekText, blockBounds) {
+  const dayName = DAY_NAMES[day];
+  const dayBudget = resolveDayBudgets(profile)[day];
+  const otherDays = Object.fromEntries(
+    Object.entries(currentPlan[section]).filter(([otherDay]) => otherDay !== day)
+  );
+
+  const requirements = section === 'timeBlocks'
+    ? `- Create NEW time blocks for ${dayName} with durations that roughly sum to ${dayBudget} hours
+- Each block should be ${blockBounds.minBlockHours} to ${blockBounds.maxBlockHours} hours
+- Include: DS&A, Role-specific prep, Applications (at least 0.5 hours)
+- Durations will be normalized automatically to ensure exact sum to ${dayName}'s budget`
+    : `- Create 2-4 NEW specific, actionable tasks for ${dayName}
+- Mix of: coding problems, study topics, applications, portfolio work
+- Align with ${dayName}'s ${dayBudget} hour budget`;
+
+  return `Regenerate the ${section === 'timeBlocks' ? 'TIME BLOCKS' : 'DAILY TASKS'} for ${dayName.toUpperCase()} ONLY in a weekly routine plan.
+
+User Profile:
+- Name: ${profile.name}
+- Stage: ${profile.stage}
+- Target Role: ${profile.targetRole}
+- Daily Time Budget: ${buildBudgetText(profile)}
+- Available Days: ${resolveAvailableDays(profile).join(', ')}${constraintsText}
+
+${weekText}
+
+REQUIREMENTS:
+${requirements}
+- Make ${dayName} DIFFERENT from its current version but same quality
+- Fit in with the rest of the week and avoid repeating its topics
+
+Current ${dayName}:
+${JSON.stringify(currentPlan[section][day], null, 2)}
+
+Rest of the week (context only, do not output):
+${JSON.stringify(otherDays, null, 2)}${extraText}
+
+Output ONLY a JSON object with a "${section}" key containing only "${day}".`;
+}
+
 /**
  * Generates reroll prompts and schema for a specific section.
  * 
- * @param {string} section - Section name (timeBlocks, resources, dailyTasks)
+ * @param {string} section - Section name (timeBlocks, resources, dailyTasks, milestones)
  * @param {object} profile - User profile
  * @param {object} currentPlan - Current plan being modified
+ * @param {object} options - Optional reroll scope
+ * @param {string} options.day - Only reroll this day (day-keyed sections only)
+ * @param {object} options.pinned - Pinned labels by day that must come back unchanged
+ * @param {string} options.feedback - Sanitized free-text feedback from the user
+ * @param {object} options.focus - Focus weights by category (-1 to 1)
+ * @param {string} options.today - The user's local date (YYYY-MM-DD), if known
+ * @param {object} options.preferences - Validated generation preferences (time blocks and daily tasks only)
  * @returns {object} { system, user, schema }
  * @throws {Error} If section is invalid
  */
-export function buildRerollPrompt(section, profile, currentPlan) {
+export function buildRerollPrompt(section, profile, currentPlan, options = {}) {
   if (!SECTION_SCHEMAS[section]) {
     throw new Error(`Invalid section: ${section}. Must be one of: ${Object.keys(SECTION_SCHEMAS).join(', ')}`);
   }
 
-  const schema = SECTION_SCHEMAS[section];
+  const { day = null, pinned = {}, feedback = null, focus = {}, today = null, preferences = {} } = options;
   
-  const constraintsText = profile.constraints?.length
-    ? `\nConstraints: ${profile.constraints.join(', ')}`
-    : '';
+  // Preferences shape the week's blocks and tasks, not its milestones or resources
+  const preferencesText = DAY_SECTIONS.includes(section) ? buildPreferencesText(preferences) : '';
+  const blockBounds = resolveBlockBounds(preferences);
+  const constraintsText = buildConstraintsText(profile) + preferencesText;
+  const weekText = buildWeekText(currentPlan, today);
+  const budgetText = buildBudgetText(profile);
+  const pinnedText = buildPinnedText(section, currentPlan, pinned);
+  const steeringText = buildSteeringText(feedback, focus);
+
+  if (day) {
+    return {
+      system: SYSTEM_PROMPT,
+      user: buildDayRerollPrompt(section, profile, currentPlan, day, constraintsText, pinnedText + steeringText, weekText, blockBounds),
+      schema: buildDaySchema(section, day),
+    };
+  }
+
+  const schema = SECTION_SCHEMAS[section];
 
   let userPrompt = '';
 
   switch (section) {
-    case 'timeBlocks':
-      userPrompt = `Regenerate the TIME BLOCKS section for a weekly routine plan.
+  case 'timeBlocks':
+    userPrompt = `Regenerate the TIME BLOCKS section for a weekly routine plan.
 
 User Profile:
 - Name: ${profile.name}
 - Stage: ${profile.stage}
 - Target Role: ${profile.targetRole}
-- Daily Time Budget: ${profile.timeBudgetHoursPerDay} hours
-- Available Days: ${profile.availableDays.join(', ')}${constraintsText}
+- Daily Time Budget: ${budgetText}
+- Available Days: ${resolveAvailableDays(profile).join(', ')}${constraintsText}
 
-Current Plan Week: ${currentPlan.weekOf}
+${weekText}
 
 REQUIREMENTS:
-- Create NEW time blocks with durations that roughly sum to ${profile.timeBudgetHoursPerDay} hours per day
-- Each block should be 0.25 to 2.0 hours
+- Create NEW time blocks with durations that roughly sum to each day's budget
+- Each block should be ${blockBounds.minBlockHours} to ${blockBounds.maxBlockHours} hours
 - Cover Monday through Friday minimum
 - Include: DS&A, Role-specific prep, Portfolio, Applications (daily)
-- Durations will be normalized automatically to ensure exact sum to daily budget
+- Durations will be normalized automatically to ensure exact sum to each day's budget
 - Create empty arrays for days not in availableDays
 - Make blocks DIFFERENT from current plan but same quality
 
 Current blocks to improve upon:
-${JSON.stringify(currentPlan.timeBlocks, null, 2)}
+${JSON.stringify(currentPlan.timeBlocks, null, 2)}${pinnedText}${steeringText}
 
 Output ONLY a JSON object with a "timeBlocks" key.`;
-      break;
+    break;
 
-    case 'resources':
-      userPrompt = `Regenerate the RESOURCES section for a weekly routine plan.
+  case 'resources':
+    userPrompt = `Regenerate the RESOURCES section for a weekly routine plan.
 
 User Profile:
 - Name: ${profile.name}
@@ -118,34 +338,63 @@ REQUIREMENTS:
 - Make resources DIFFERENT from current list but equally valuable
 
 Current resources to replace:
-${JSON.stringify(currentPlan.resources, null, 2)}
+${JSON.stringify(currentPlan.resources, null, 2)}${steeringText}
 
 Output ONLY a JSON object with a "resources" key.`;
-      break;
+    break;
 
-    case 'dailyTasks':
-      userPrompt = `Regenerate the DAILY TASKS section for a weekly routine plan.
+  case 'dailyTasks':
+    userPrompt = `Regenerate the DAILY TASKS section for a weekly routine plan.
 
 User Profile:
 - Name: ${profile.name}
 - Stage: ${profile.stage}
 - Target Role: ${profile.targetRole}
-- Daily Time Budget: ${profile.timeBudgetHoursPerDay} hours
-- Available Days: ${profile.availableDays.join(', ')}${constraintsText}
+- Daily Time Budget: ${budgetText}
+- Available Days: ${resolveAvailableDays(profile).join(', ')}${constraintsText}
+
+${weekText}
 
 REQUIREMENTS:
 - Create NEW specific daily tasks for Monday-Friday
 - 2-4 tasks per day
 - Mix of: coding problems, study topics, applications, portfolio work
 - Tasks should be actionable and specific
-- Align with ${profile.timeBudgetHoursPerDay} hour daily budget
+- Align with each day's budget
 - Make tasks DIFFERENT from current plan but same quality
 
 Current tasks to improve upon:
-${JSON.stringify(currentPlan.dailyTasks, null, 2)}
+${JSON.stringify(currentPlan.dailyTasks, null, 2)}${pinnedText}${steeringText}
 
 Output ONLY a JSON object with a "dailyTasks" key.`;
-      break;
+    break;
+
+  case 'milestones':
+    userPrompt = `Regenerate the MILESTONES section for a weekly routine plan.
+
+User Profile:
+- Name: ${profile.name}
+- Stage: ${profile.stage}
+- Target Role: ${profile.targetRole}
+- Daily Time Budget: ${budgetText}
+- Available Days: ${resolveAvailableDays(profile).join(', ')}${constraintsText}
+
+${weekText}
+
+REQUIREMENTS:
+- Provide 3-6 NEW weekly milestones (e.g., "Complete 10 medium LC problems")
+- Milestones must be specific, measurable and reachable this week
+- Base them on the week's time blocks below
+- Make milestones DIFFERENT from the current ones but same quality
+
+Week's time blocks:
+${JSON.stringify(currentPlan.timeBlocks, null, 2)}
+
+Current milestones to replace:
+${JSON.stringify(currentPlan.milestones, null, 2)}${steeringText}
+
+Output ONLY a JSON object with a "milestones" key.`;
+    break;
   }
 
   return {
@@ -155,11 +404,56 @@ Output ONLY a JSON object with a "dailyTasks" key.`;
   };
 }
 
+/**
+ * Generates reroll prompts and schema for a section of a prep pack.
+ *
+ * @param {string} section - Section name (prepOutline, weeklyDrillPlan, starterQuestions, resources)
+ * @param {object} profile - User profile
+ * @param {object} currentPrep - Current prep pack being modified
+ * @param {object} options - Optional steering
+ * @param {string} options.feedback - Sanitized free-text feedback from the user
+ * @param {object} options.focus - Focus weights by category (-1 to 1)
+ * @returns {object} { system, user, schema }
+ * @throws {Error} If section is invalid
+ */
+export function buildPrepRerollPrompt(section, profile, currentPrep, options = {}) {
+  if (!PREP_SECTION_SCHEMAS[section]) {
+    throw new Error(`Invalid prep section: ${section}. Must be one of: ${Object.keys(PREP_SECTION_SCHEMAS).join(', ')}`);
+  }
+
+  const constraintsText = buildConstraintsText(profile);
+
+  const userPrompt = `Regenerate the ${SECTION_TITLES[section]} section of an interview prep pack.
+
+User Profile:
+- Name: ${profile.name}
+- Stage: ${profile.stage}
+- Target Role: ${profile.targetRole}
+- Daily Time Budget: ${buildBudgetText(profile)}${constraintsText}
+
+REQUIREMENTS:
+${PREP_SECTION_REQUIREMENTS[section]}
+- Tailor all content to ${profile.targetRole}
+- Make the section DIFFERENT from the current version but same quality
+
+Current ${section} to replace:
+${JSON.stringify(currentPrep[section], null, 2)}${buildSteeringText(options.feedback, options.focus)}
+
+Output ONLY a JSON object with a "${section}" key.`;
+
+  return {
+    system: PREP_SYSTEM_PROMPT,
+    user: userPrompt,
+    schema: PREP_SECTION_SCHEMAS[section],
+  };
+}
+
 /**
  * Gets available section names for reroll.
+ * @param {string} target - What is being rerolled: 'plan' or 'prep'
  * @returns {string[]} Array of valid section names
  */
-export function getValidSections() {
-  return Object.keys(SECTION_SCHEMAS);
+export function getValidSections(target = 'plan') {
+  return Object.keys(target === 'prep' ? PREP_SECTION_SCHEMAS : SECTION_SCHEMAS);
 }
 
@@ -6,6 +6,9 @@
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { buildConstraintsText, describeDayBudgets, resolveAvailableDays } from '../utils/constraints.js';
+import { mondayOf } from '../utils/week.js';
+import { buildPreferencesText, resolveBlockBounds } from '../utils/preferences.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -26,7 +29,7 @@ CRITICAL REQUIREMENTS:
 - Output ONLY valid JSON matching the provided schema
 - No markdown, no code blocks, no commentary, no extra fields
 - All duration values must be in hours (e.g., 1.5, 2.0, 0.5)
-- Task durations should roughly sum to the user's daily time budget (will be normalized automatically)
+- Task durations should roughly sum to each day's time budget (will be normalized automatically)
 - Example: 2 hours/day → tasks like [0.5, 0.5, 1.0] or [0.75, 0.75, 0.5]
 - Each task should be 0.25 to 2.0 hours
 - Respect the user's time budget and available days strictly
@@ -43,41 +46,43 @@ CRITICAL REQUIREMENTS:
  * Generates routine generation prompts and schema.
  * 
  * @param {object} profile - User profile
- * @param {object} preferences - Optional generation preferences
- * @returns {object} { system, user, schema }
+ * @param {object} preferences - Optional generation preferences (preferences.schema.json)
+ * @param {object} options - Optional overrides
+ * @param {string} options.weekOf - Monday of the plan week (defaults to the current week in UTC)
+ * @returns {object} { system, user, schema, weekOf }
  */
-export function buildRoutinePrompt(profile, preferences = {}) {
-  const today = new Date();
-  const monday = new Date(today);
-  monday.setDate(today.getDate() - today.getDay() + 1);
-  const weekOf = monday.toISOString().split('T')[0];
+export function buildRoutinePrompt(profile, preferences = {}, options = {}) {
+  const weekOf = options.weekOf || mondayOf();
 
-  const constraintsText = profile.constraints?.length
-    ? `\nAdditional constraints: ${profile.constraints.join(', ')}`
-    : '';
+  const constraintsText = buildConstraintsText(profile, 'Additional constraints');
+  // Days ruled out by the constraints are not offered to the model at all
+  const availableDays = resolveAvailableDays(profile);
+  const dayBudgetsText = describeDayBudgets(profile, availableDays);
+  const preferencesText = buildPreferencesText(preferences);
+  const { minBlockHours, maxBlockHours } = resolveBlockBounds(preferences);
 
   const userPrompt = `Generate a weekly interview preparation routine for:
 
 Name: ${profile.name}
 Current Stage: ${profile.stage}
 Target Role: ${profile.targetRole}
-Daily Time Budget: ${profile.timeBudgetHoursPerDay} hours
-Available Days: ${profile.availableDays.join(', ')}${constraintsText}
+Daily Time Budget: ${profile.timeBudgetHoursPerDay} hours${dayBudgetsText ? ` by default; per day: ${dayBudgetsText}` : ''}
+Available Days: ${availableDays.join(', ')}${constraintsText}${preferencesText}
 
 REQUIREMENTS:
-1. Task durations should roughly sum to ${profile.timeBudgetHoursPerDay} hours per day
+1. Task durations should roughly sum to ${dayBudgetsText ? `each day's own budget (${dayBudgetsText})` : `${profile.timeBudgetHoursPerDay} hours per day`}
    Example: If user has 2 hours/day, tasks could be: [0.6h, 0.6h, 0.8h] ≈ 2 hours total
    Note: Durations will be automatically normalized to ensure exact sum
-2. Split ${profile.timeBudgetHoursPerDay} hours into 3-5 tasks per day based on budget
+2. Split each day's budget into 3-5 tasks based on its size
    - 2 hours/day → 3-4 tasks
    - 3-4 hours/day → 4-5 tasks
-3. Each task duration should be 0.25 to 2.0 hours
+3. Each task duration should be ${minBlockHours} to ${maxBlockHours} hours
 4. Cover Monday through Friday with daily focus areas:
    - Data Structures & Algorithms practice
    - Role-specific preparation (e.g., iOS/Swift for iOS roles, system design)
    - Portfolio projects or code reviews
    - Applications and networking (DAILY - at least 0.5 hours)
-5. For days NOT in available days [${profile.availableDays.join(', ')}], create empty arrays
+5. For days NOT in available days [${availableDays.join(', ')}], create empty arrays
 6. Ensure task durations are proportional and realistic (they will be normalized to sum exactly)
 7. Suggest 3-6 weekly milestones (e.g., "Complete 10 medium LC problems")
 8. Provide 4-8 curated resources with actual URLs (LeetCode, YouTube, books, courses)
@@ -90,6 +95,7 @@ Output the complete plan as valid JSON.`;
     system: SYSTEM_PROMPT,
     user: userPrompt,
     schema: cleanSchema,
+    weekOf,
   };
 }
 
@@ -0,0 +1,137 @@
+/**
+ * cassette.js
+ * Record/replay cassettes for LLM calls.
+ *
+ * In record mode every respondWithSchema call is forwarded to the provider and the
+ * request/response pair is saved to <cassetteDir>/<key>.json. In replay mode the saved
+ * response is served without calling the provider. The key is a SHA-256 hash of the
+ * model, schema, system prompt and user prompt.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash } from 'crypto';
+import config from '../config.js';
+import logger from '../utils/logger.js';
+
+export const CassetteMode = {
+  OFF: 'off',
+  RECORD: 'record',
+  REPLAY: 'replay',
+};
+
+/**
+ * Computes the cassette key for a request.
+ * @param {object} params - { model, schema, system, user }
+ * @returns {string} Hex SHA-256 hash
+ */
+export function cassetteKey({ model, schema, system, user }) {
+  return createHash('sha256')
+    .update(JSON.stringify([model, schema, system, user]))
+    .digest('hex');
+}
+
+function cassettePath(key) {
+  return path.join(config.llmCassetteDir, `${key}.json`);
+}
+
+/**
+ * Loads a cassette by key.
+ * @param {string} key - Cassette key
+ * @returns {Promise<object|null>} Cassette contents or null if not recorded
+ */
+export async function loadCassette(key) {
+  try {
+    const content = await fs.readFile(cassettePath(key), 'utf-8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Saves a request/response pair as a cassette.
+ * @param {string} key - Cassette key
+ * @param {object} cassette - Cassette contents
+ */
+export async function saveCassette(key, cassette) {
+  await fs.mkdir(config.llmCassetteDir, { recursive: true });
+  await fs.writeFile(cassettePath(key), JSON.stringify(cassette, null, 2));
+}
+
+/**
+ * Finds the cassette recorded for a request traceId (as seen in the eval logs).
+ * @param {string} traceId - Request trace ID
+ * @returns {Promise<object|null>} Cassette contents or null if none matches
+ */
+export async function findCassetteByTraceId(traceId) {
+  let files;
+  try {
+    files = await fs.readdir(config.llmCassetteDir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  for (const file of files.filter(f => f.endsWith('.json'))) {
+    const cassette = await loadCassette(path.basename(file, '.json'));
+    if (cassette?.traceId === traceId) {
+      return cassette;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Wraps a provider call with cassette recording or replay, depending on
+ * config.llmCassetteMode.
+ *
+ * @param {function} respond - Provider respondWithSchema function
+ * @param {string} providerName - Provider name recorded in the cassette
+ * @returns {function} Wrapped respondWithSchema function
+ */
+export function withCassette(respond, providerName) {
+  return async (params) => {
+    const mode = config.llmCassetteMode;
+    if (mode === CassetteMode.OFF) {
+      return respond(params);
+    }
+
+    const { model, schema, system, user, traceId } = params;
+    const key = cassetteKey({ model, schema, system, user });
+
+    if (mode === CassetteMode.REPLAY) {
+      const cassette = await loadCassette(key);
+      if (!cassette) {
+        logger.error({ traceId, cassetteKey: key }, 'No cassette recorded for LLM request');
+        const error = new Error('No cassette recorded for this LLM request');
+        error.statusCode = 502;
+        error.cassetteKey = key;
+        throw error;
+      }
+
+      logger.info({ traceId, cassetteKey: key }, 'Replaying LLM response from cassette');
+      return cassette.response;
+    }
+
+    const response = await respond(params);
+
+    try {
+      await saveCassette(key, {
+        key,
+        traceId,
+        recordedAt: new Date().toISOString(),
+        provider: providerName,
+        request: { model, system, user, schema },
+        response,
+      });
+      logger.info({ traceId, cassetteKey: key }, 'Recorded LLM response to cassette');
+    } catch (error) {
+      logger.error({ traceId, error: error.message }, 'Failed to record cassette');
+    }
+
+    return response;
+  };
+}
@@ -0,0 +1,158 @@
+/**
+ * circuitBreaker.js
+ * Circuit breaker for LLM provider calls.
+ *
+ * While the provider is healthy the circuit is closed and every call goes through. When
+ * at least `minimumCalls` calls in the last `windowMs` failed at `failureRate` or more, the
+ * circuit opens: calls are turned away immediately, so generation serves its fallback
+ * instead of waiting for timeouts. After `openMs` the circuit is half-open and the next
+ * call is let through as a trial; if it succeeds the circuit closes, otherwise it opens again.
+ * Cancelled calls don't count either way.
+ */
+
+import logger from '../utils/logger.js';
+import { isCancellation } from '../utils/cancellation.js';
+
+export const CircuitState = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open',
+};
+
+/**
+ * Creates a circuit breaker.
+ *
+ * @param {object} options - Breaker options
+ * @param {string} options.name - Name for logs (e.g. the provider name)
+ * @param {number} options.failureRate - Failure rate (0-1) that opens the circuit
+ * @param {number} options.minimumCalls - Calls in the window needed before the rate counts
+ * @param {number} options.windowMs - Rolling window the failure rate is computed over
+ * @param {number} options.openMs - How long the circuit stays open before a trial call
+ * @returns {object} { call(fn), getState() }
+ */
+export function createCircuitBreaker({ name, failureRate, minimumCalls, windowMs, openMs }) {
+  let state = CircuitState.CLOSED;
+  let outcomes = [];
+  let openedAt = null;
+  let trialInFlight = false;
+
+  function windowStats(now = Date.now()) {
+    outcomes = outcomes.filter((outcome) => now - outcome.at < windowMs);
+    const failures = outcomes.filter((outcome) => !outcome.ok).length;
+    return {
+      calls: outcomes.length,
+      failures,
+      failureRate: outcomes.length > 0 ? failures / outcomes.length : 0,
+    };
+  }
+
+  function open(now, reason) {
+    state = CircuitState.OPEN;
+    openedAt = now;
+    logger.error(
+      { circuit: name, reason, ...windowStats(now), retryAt: new Date(now + openMs).toISOString() },
+      'LLM circuit opened, serving fallbacks'
+    );
+  }
+
+  function close() {
+    state = CircuitState.CLOSED;
+    openedAt = null;
+    outcomes = [];
+    logger.info({ circuit: name }, 'LLM circuit closed, provider recovered');
+  }
+
+  function recordSuccess(trial) {
+    if (trial) {
+      close();
+    } else if (state === CircuitState.CLOSED) {
+      outcomes.push({ at: Date.now(), ok: true });
+    }
+  }
+
+  function recordFailure(trial, error) {
+    const now = Date.now();
+    if (trial) {
+      open(now, `Trial call failed: ${error.message}`);
+      return;
+    }
+    if (state !== CircuitState.CLOSED) {
+      return;
+    }
+
+    outcomes.push({ at: now, ok: false });
+    const stats = windowStats(now);
+    if (stats.calls >= minimumCalls && stats.failureRate >= failureRate) {
+      open(now, `Failure rate ${Math.round(stats.failureRate * 100)}% over ${stats.calls} calls`);
+    }
+  }
+
+  // The open window ending is what makes the circuit half-open, whether or not a call comes in
+  function refreshState(now) {
+    if (state === CircuitState.OPEN && now - openedAt >= openMs) {
+      state = CircuitState.HALF_OPEN;
+      logger.warn({ circuit: name }, 'LLM circuit half-open, next call is a trial');
+    }
+  }
+
+  function rejection(now) {
+    const retryAfterMs = Math.max(0, openedAt + openMs - now);
+    const error = new Error('LLM provider unavailable (circuit open)');
+    error.statusCode = 503;
+    error.circuitOpen = true;
+    error.retryAfterMs = retryAfterMs;
+    return error;
+  }
+
+  return {
+    /**
+     * Runs a provider call through the breaker.
+     *
+     * @param {function} fn - () => Promise
+     * @returns {Promise<*>} The call's result
+     * @throws {Error} 503 with `circuitOpen: true` if the circuit is open, or the call's error
+     */
+    async call(fn) {
+      const now = Date.now();
+      refreshState(now);
+      if (state === CircuitState.OPEN || (state === CircuitState.HALF_OPEN && trialInFlight)) {
+        throw rejection(now);
+      }
+
+      const trial = state === CircuitState.HALF_OPEN;
+      trialInFlight = trialInFlight || trial;
+      try {
+        const result = await fn();
+        recordSuccess(trial);
+        return result;
+      } catch (error) {
+        if (!isCancellation(error)) {
+          recordFailure(trial, error);
+        }
+        throw error;
+      } finally {
+        if (trial) {
+          trialInFlight = false;
+        }
+      }
+    },
+
+    /**
+     * Current state for health checks.
+     *
+     * @returns {object} { state, calls, failures, failureRate, openedAt, retryAt }
+     */
+    getState() {
+      const now = Date.now();
+      refreshState(now);
+      const stats = windowStats(now);
+      return {
+        state,
+        ...stats,
+        failureRate: Math.round(stats.failureRate * 100) / 100,
+        openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+        retryAt: state === CircuitState.OPEN ? new Date(openedAt + openMs).toISOString() : null,
+      };
+    },
+  };
+}
@@ -0,0 +1,104 @@
+/**
+ * providers/index.js
+ * LLM provider registry. Routes call respondWithSchema from here and the
+ * configured provider (config.llmProvider) produces the JSON response text.
+ *
+ * Every provider implements the same interface:
+ *   name: string
+ *   respondWithSchema({ model, schema, system, user, timeoutMs, context, signal }) => Promise<string>
+ *
+ * `context` carries structured request data ({ kind, profile, weekOf, section, currentPlan })
+ * for providers that do not read prompts, such as the local provider. `signal` is an
+ * optional AbortSignal; providers that make network calls abort them when it fires.
+ * `onDelta` is an optional (text) callback for streaming; providers that can't stream
+ * may ignore it, and the full response is then passed to it once at the end. `onCall` is
+ * an optional callback providers with retries or fallback models call after every
+ * upstream call ({ model, ok, latencyMs, status, error }).
+ *
+ * Calls go through the cassette layer (config.llmCassetteMode) so responses can be
+ * recorded once and replayed without calling the provider. Calls that do reach the provider
+ * go through a circuit breaker, so an outage fails requests fast instead of each one
+ * waiting out its retries and timeouts.
+ */
+
+import config from '../config.js';
+import { respondWithSchema as openaiRespondWithSchema } from '../openaiClient.js';
+import * as localProvider from './localProvider.js';
+import { withCassette } from './cassette.js';
+import { createCircuitBreaker } from './circuitBreaker.js';
+import { throwIfCancelled } from '../utils/cancellation.js';
+
+const PROVIDERS = {
+  openai: {
+    name: 'openai',
+    respondWithSchema: openaiRespondWithSchema,
+  },
+  local: localProvider,
+};
+
+const breaker = createCircuitBreaker({
+  name: config.llmProvider,
+  failureRate: config.llmBreakerFailureRate,
+  minimumCalls: config.llmBreakerMinimumCalls,
+  windowMs: config.llmBreakerWindowMs,
+  openMs: config.llmBreakerOpenMs,
+});
+
+/**
+ * Looks up an LLM provider by name.
+ * @param {string} name - Provider name (defaults to config.llmProvider)
+ * @returns {object} Provider implementing respondWithSchema
+ * @throws {Error} If the provider is unknown
+ */
+export function getProvider(name = config.llmProvider) {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(
+      `Unknown LLM provider: ${name}. Must be one of: ${Object.keys(PROVIDERS).join(', ')}`
+    );
+  }
+  return provider;
+}
+
+/**
+ * Returns the provider's circuit breaker state for health checks.
+ *
+ * @returns {object} { provider, circuit } (see circuitBreaker.getState)
+ */
+export function getProviderHealth() {
+  return { provider: config.llmProvider, circuit: breaker.getState() };
+}
+
+/**
+ * Calls the configured LLM provider with structured JSON schema output.
+ *
+ * @param {object} params - Request parameters (see openaiClient.respondWithSchema)
+ * @param {object} params.context - Structured request context for offline providers
+ * @param {string} params.traceId - Request trace ID, recorded in cassettes
+ * @param {AbortSignal} params.signal - Optional cancellation signal
+ * @param {function} params.onDelta - Optional (text) callback receiving the response as it streams
+ * @returns {Promise<string>} Response text content
+ * @throws {Error} Cancellation error if the signal fires before a response is returned, or
+ *   503 with `circuitOpen: true` while the circuit is open
+ */
+export async function respondWithSchema(params) {
+  const provider = getProvider();
+  throwIfCancelled(params.signal);
+
+  let streamed = false;
+  const onDelta = params.onDelta && ((text) => {
+    streamed = true;
+    params.onDelta(text);
+  });
+  const guarded = (request) => breaker.call(() => provider.respondWithSchema(request));
+  const response = await withCassette(guarded, provider.name)({ ...params, onDelta });
+
+  // Providers that can't be interrupted still must not hand back a cancelled response
+  throwIfCancelled(params.signal);
+
+  // Local providers and cassette replays answer in one piece
+  if (onDelta && !streamed) {
+    onDelta(response);
+  }
+  return response;
+}
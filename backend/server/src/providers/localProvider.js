@@ -0,0 +1,77 @@
+/**
+ * localProvider.js
+ * Deterministic offline LLM provider.
+ * Builds schema-valid plans, prep packs and reroll sections from the profile
+ * without any network access, so the server, demos and tests run without an API key.
+ * Content comes from the role-aware template engine.
+ */
+
+import logger from '../utils/logger.js';
+import { buildTemplatePlan, buildTemplatePrep } from '../services/templateEngine.js';
+
+export const name = 'local';
+
+// Number of distinct reroll variants before content repeats
+const REROLL_VARIANTS = 7;
+
+/**
+ * Small stable string hash used to derive reroll variants.
+ */
+function hashString(str) {
+  let hash = 0;
+  for (let i = 0; i < str.length; i++) {
+    hash = (hash * 31 + str.charCodeAt(i)) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * Generates schema-valid JSON text from structured request context.
+ *
+ * @param {object} params - Request parameters
+ * @param {string} params.user - User prompt (varies reroll content between repair attempts)
+ * @param {object} params.context - { kind, profile, weekOf, section, currentPlan, currentPrep, day }
+ * @returns {Promise<string>} JSON response text
+ * @throws {Error} 502 if the context is missing or unsupported
+ */
+export async function respondWithSchema({ user = '', context = {} }) {
+  const { kind, profile } = context;
+
+  if (!profile) {
+    const error = new Error('Local provider requires a profile in the request context');
+    error.statusCode = 502;
+    throw error;
+  }
+
+  logger.info({ kind }, 'Generating content with local provider');
+
+  switch (kind) {
+  case 'routine':
+    return JSON.stringify(buildTemplatePlan(profile, { weekOf: context.weekOf }));
+
+  case 'prep':
+    return JSON.stringify(buildTemplatePrep(profile));
+
+  case 'reroll': {
+    const { section, currentPlan, day } = context;
+    // Derive the variant from the current section and prompt so a reroll differs from it
+    const current = day ? currentPlan?.[section]?.[day] : currentPlan?.[section];
+    const variant = 1 + (hashString(JSON.stringify(current || '') + user) % REROLL_VARIANTS);
+    const plan = buildTemplatePlan(profile, { weekOf: currentPlan?.weekOf, variant });
+    return JSON.stringify({ [section]: day ? { [day]: plan[section][day] } : plan[section] });
+  }
+
+  case 'rerollPrep': {
+    const { section, currentPrep } = context;
+    const variant = 1 + (hashString(JSON.stringify(currentPrep?.[section] || '') + user) % REROLL_VARIANTS);
+    const prep = buildTemplatePrep(profile, { variant });
+    return JSON.stringify({ [section]: prep[section] });
+  }
+
+  default: {
+    const error = new Error(`Local provider cannot generate content of kind: ${kind}`);
+    error.statusCode = 502;
+    throw error;
+  }
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * export.js
+ * API routes for exporting generated plans to other formats.
+ */
+
+import express from 'express';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { compile, assertValid } from '../utils/validate.js';
+import { isValidTimeZone } from '../utils/timezone.js';
+import logger from '../utils/logger.js';
+import { sanitizeInput } from '../services/safety.js';
+import { buildIcs } from '../services/icsExport.js';
+import { renderMarkdown, renderHtml } from '../services/documentExport.js';
+import { readPlan } from '../services/planFormat.js';
+
+const router = express.Router();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load and compile schemas
+const prepSchemaPath = join(__dirname, '../schemas/prep.schema.json');
+const icsExportSchemaPath = join(__dirname, '../schemas/icsExport.schema.json');
+
+const prepSchema = JSON.parse(readFileSync(prepSchemaPath, 'utf-8'));
+const icsExportSchema = JSON.parse(readFileSync(icsExportSchemaPath, 'utf-8'));
+
+const validatePrep = compile(prepSchema);
+const validateIcsExport = compile(icsExportSchema);
+
+/**
+ * POST /export/ics
+ * Exports a weekly plan as an iCalendar (.ics) file, one event per time block.
+ */
+router.post('/ics', (req, res, next) => {
+  try {
+    const { plan: sentPlan, ...options } = req.body;
+
+    if (!sentPlan) {
+      const error = new Error('Missing required field: plan');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const plan = readPlan(sentPlan, 'Plan');
+    assertValid(options, validateIcsExport, 'Export options');
+
+    if (!isValidTimeZone(options.timezone)) {
+      const error = new Error(`Invalid timezone: ${options.timezone}. Use an IANA name such as America/New_York`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const ics = buildIcs(plan, options);
+    const events = Object.values(plan.timeBlocks).reduce((sum, blocks) => sum + blocks.length, 0);
+
+    logger.info({ traceId: req.traceId, weekOf: plan.weekOf, timezone: options.timezone, events }, 'Exported plan as iCalendar');
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="career-routine-${plan.weekOf}.ics"`);
+    res.send(ics);
+  } catch (error) {
+    next(error);
+  }
+});
+
+const MAX_TITLE_LENGTH = 100;
+
+/**
+ * Validates the body of a document export: a plan and/or a prep pack, plus an optional title.
+ *
+ * @param {object} body - Request body
+ * @returns {object} { plan, prep, title, filename }
+ * @throws {Error} 400 if neither document is given or either is invalid
+ */
+function parseDocumentRequest(body) {
+  const { prep, title } = body;
+
+  if (!body.plan && !prep) {
+    const error = new Error('Missing required field: plan or prep');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const plan = body.plan ? readPlan(body.plan, 'Plan') : null;
+  if (prep) assertValid(prep, validatePrep, 'Prep');
+
+  if (title !== undefined && (typeof title !== 'string' || !title.trim() || title.length > MAX_TITLE_LENGTH)) {
+    const error = new Error(`title must be a non-empty string of at most ${MAX_TITLE_LENGTH} characters`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return {
+    plan,
+    prep: prep || null,
+    title: title ? sanitizeInput(title) : undefined,
+    filename: plan ? `career-routine-${plan.weekOf}` : 'career-routine-prep',
+  };
+}
+
+/**
+ * POST /export/markdown
+ * Exports a plan and/or prep pack as a Markdown document.
+ */
+router.post('/markdown', (req, res, next) => {
+  try {
+    const { filename, ...document } = parseDocumentRequest(req.body);
+    const markdown = renderMarkdown(document);
+
+    logger.info({ traceId: req.traceId, plan: !!document.plan, prep: !!document.prep }, 'Exported Markdown document');
+
+    res.set('Content-Type', 'text/markdown; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}.md"`);
+    res.send(markdown);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /export/html
+ * Exports a plan and/or prep pack as a standalone, printable HTML page.
+ */
+router.post('/html', (req, res, next) => {
+  try {
+    const { filename, ...document } = parseDocumentRequest(req.body);
+    const html = renderHtml(document);
+
+    logger.info({ traceId: req.traceId, plan: !!document.plan, prep: !!document.prep }, 'Exported HTML document');
+
+    res.set('Content-Type', 'text/html; charset=utf-8');
+    res.set('Content-Disposition', `inline; filename="${filename}.html"`);
+    res.send(html);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,6 +1,7 @@
 /**
  * generate.js
- * API routes for generating routines, prep packs, and rerolling sections.
+ * API routes for generating routines, prep packs, and rerolling plan and prep sections.
+ * The request handling is shared with the job API (see GENERATION_PREPARERS).
  */
 
 import express from 'express';
@@ -8,369 +9,801 @@ import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { compile, assertValid } from '../utils/validate.js';
-import { tryParseJson } from '../utils/jsonFix.js';
-import { respondWithSchema } from '../openaiClient.js';
-import { buildRoutinePrompt } from '../prompts/routinePrompt.js';
-import { buildPrepPrompt } from '../prompts/prepPrompt.js';
-import { buildRerollPrompt, getValidSections } from '../prompts/rerollPrompt.js';
-import config from '../config.js';
+import { getValidSections, DAY_SECTIONS } from '../prompts/rerollPrompt.js';
 import logger from '../utils/logger.js';
+import { sanitizeInput, createFallbackResponse } from '../services/safety.js';
+import { resolvePins } from '../services/pins.js';
+import { resolveSteering } from '../services/rerollFeedback.js';
+import { scheduleWeek, parseWindow } from '../services/scheduler.js';
+import { parseConstraints, resolveAvailableDays, resolveDayBudgets } from '../utils/constraints.js';
+import { getPlanVersion, planVersionOf, readPlan, formatPlan, migratePlan } from '../services/planFormat.js';
 import {
-  sanitizeInput,
-  assessContentRisk,
-  filterLLMOutput,
-  validateDataQuality,
-  isSafeToReturn,
-  createFallbackResponse,
-  addSafetyGuidelines,
-  logLLMInteraction,
-} from '../services/safety.js';
-import { normalizePlanDurations } from '../utils/normalizeDurations.js';
+  generateRoutine,
+  generatePrep,
+  generateProgram,
+  generateAdaptedRoutine,
+  rerollSection,
+  rerollPrepSection,
+} from '../services/generation.js';
+import { MIN_PROGRAM_WEEKS, MAX_PROGRAM_WEEKS } from '../prompts/programPrompt.js';
+import { mondayOf, parseDate, weeksBetween, todayIn, isMonday, normalizeWeekOf } from '../utils/week.js';
+import { isValidTimeZone } from '../utils/timezone.js';
+import { isCancellation } from '../utils/cancellation.js';
+import { createJsonStreamWatcher } from '../utils/jsonStream.js';
+import { openEventStream } from '../utils/sse.js';
+import { parseEnvelopeVersion, sendResult, buildMeta, ResultSource } from '../utils/envelope.js';
 
 const router = express.Router();
 
+// Validate the optional response envelope version before doing any work
+router.use(parseEnvelopeVersion);
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 // Load and compile schemas
 const profileSchemaPath = join(__dirname, '../schemas/profile.schema.json');
-const planSchemaPath = join(__dirname, '../schemas/plan.schema.json');
 const prepSchemaPath = join(__dirname, '../schemas/prep.schema.json');
+const progressSchemaPath = join(__dirname, '../schemas/progress.schema.json');
+const scheduleSchemaPath = join(__dirname, '../schemas/schedule.schema.json');
+const preferencesSchemaPath = join(__dirname, '../schemas/preferences.schema.json');
 
 const profileSchema = JSON.parse(readFileSync(profileSchemaPath, 'utf-8'));
-const planSchema = JSON.parse(readFileSync(planSchemaPath, 'utf-8'));
 const prepSchema = JSON.parse(readFileSync(prepSchemaPath, 'utf-8'));
+const progressSchema = JSON.parse(readFileSync(progressSchemaPath, 'utf-8'));
+const scheduleSchema = JSON.parse(readFileSync(scheduleSchemaPath, 'utf-8'));
+const preferencesSchema = JSON.parse(readFileSync(preferencesSchemaPath, 'utf-8'));
 
 const validateProfile = compile(profileSchema);
-const validatePlan = compile(planSchema);
 const validatePrep = compile(prepSchema);
+const validateProgress = compile(progressSchema);
+const validateSchedule = compile(scheduleSchema);
+const validatePreferences = compile(preferencesSchema);
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
 
 /**
- * POST /generate/routine
- * Generates a weekly routine plan from user profile.
+ * Validates the optional generation preferences and sanitizes their free-text stack entries.
+ *
+ * @param {object} preferences - Preferences from the request body
+ * @param {object} profile - Profile from the request body; once it is valid, the shortest
+ *   block length must fit in each available day's budget
+ * @returns {object} Preferences matching preferences.schema.json ({} if none were sent)
+ * @throws {Error} 400 if the preferences are invalid
  */
-router.post('/routine', async (req, res, next) => {
-  const startTime = Date.now();
-  let plan = null;
-  
-  try {
-    const { profile, preferences } = req.body;
+function resolvePreferences(preferences, profile) {
+  if (preferences === undefined) {
+    return {};
+  }
 
-    // Validate input
-    if (!profile) {
-      const error = new Error('Missing required field: profile');
-      error.statusCode = 400;
-      throw error;
+  assertValid(preferences, validatePreferences, 'Preferences');
+
+  const { min, max } = preferences.blockLengthMinutes || {};
+  if (min !== undefined && max !== undefined && min > max) {
+    throw badRequest('blockLengthMinutes.min must not be greater than blockLengthMinutes.max');
+  }
+  // An invalid profile is reported on its own (or answered with a fallback)
+  if (min !== undefined && profile && validateProfile(profile)) {
+    const dayBudgets = resolveDayBudgets(profile);
+    const tooShort = resolveAvailableDays(profile).filter((day) => min > dayBudgets[day] * 60);
+    if (tooShort.length > 0) {
+      throw badRequest(
+        `blockLengthMinutes.min (${min}) is longer than the day budget on ${tooShort.map((day) => `${day} (${dayBudgets[day] * 60} minutes)`).join(', ')}`
+      );
     }
+  }
+  if (preferences.focusWeights && Object.values(preferences.focusWeights).every((weight) => weight === 0)) {
+    throw badRequest('focusWeights must give at least one category a weight above 0');
+  }
 
-    assertValid(profile, validateProfile, 'Profile');
+  return preferences.stack
+    ? { ...preferences, stack: preferences.stack.map((item) => sanitizeInput(item)) }
+    : preferences;
+}
 
-    // Sanitize user inputs for safety
-    profile.name = sanitizeInput(profile.name);
-    profile.targetRole = sanitizeInput(profile.targetRole);
-    profile.stage = sanitizeInput(profile.stage);
+/**
+ * Checks the user's IANA timezone; "today" is UTC when none is sent.
+ *
+ * @param {string} timezone - Timezone from the request body
+ * @returns {string} Timezone to compute local dates in
+ * @throws {Error} 400 if the timezone is unknown
+ */
+function resolveTimeZone(timezone) {
+  if (timezone === undefined) {
+    return 'UTC';
+  }
+  if (!isValidTimeZone(timezone)) {
+    throw badRequest(`Invalid timezone: ${timezone}. Use an IANA name such as America/New_York`);
+  }
+  return timezone;
+}
 
-    logger.info({ traceId: req.traceId }, 'Generating routine');
+/**
+ * Works out which week a request plans. Defaults to the week of the user's local date;
+ * `startDate` picks the week containing that date, and `weekOf` names the Monday directly.
+ *
+ * @param {object} body - Request body ({ timezone, weekOf, startDate })
+ * @returns {object} { today, weekOf } Local date and Monday of the plan week (YYYY-MM-DD)
+ * @throws {Error} 400 if the timezone or dates are invalid, or weekOf is not a Monday
+ */
+function resolveWeekAnchor({ timezone, weekOf, startDate }) {
+  const today = todayIn(resolveTimeZone(timezone));
 
-    // Build prompt with safety guidelines
-    const { system, user, schema } = buildRoutinePrompt(profile, preferences);
-    const safeSystemPrompt = addSafetyGuidelines(system);
-    
-    let responseText;
-    let riskAssessment;
-    
-    try {
-      // Call OpenAI with safety-enhanced prompt
-      responseText = await respondWithSchema({
-        model: config.openaiModel,
-        schema,
-        system: safeSystemPrompt,
-        user,
-      });
+  if (weekOf !== undefined && startDate !== undefined) {
+    throw badRequest('Provide either weekOf or startDate, not both');
+  }
 
-      // Assess response risk
-      riskAssessment = assessContentRisk(responseText);
-
-      // Parse and validate response
-      plan = tryParseJson(responseText);
-      assertValid(plan, validatePlan, 'Generated plan');
-
-      // Filter unsafe content from plan
-      plan = filterLLMOutput(plan, 'plan');
-
-      // Log before normalization for debugging
-      logger.info(
-        { 
-          traceId: req.traceId, 
-          profileBudget: profile.timeBudgetHoursPerDay,
-          hasTimeBlocks: !!plan.timeBlocks,
-          sampleDay: Object.keys(plan.timeBlocks || {})[0]
-        }, 
-        'Before normalization'
-      );
+  if (weekOf !== undefined) {
+    const date = parseDate(weekOf);
+    if (!date) {
+      throw badRequest('weekOf must be a valid date in YYYY-MM-DD format');
+    }
+    if (!isMonday(weekOf)) {
+      throw badRequest(`weekOf must be a Monday; the week of ${weekOf} starts on ${mondayOf(date)}`);
+    }
+    return { today, weekOf };
+  }
 
-      // Normalize durations to ensure they sum to daily budget
-      plan = normalizePlanDurations(plan, profile, req.traceId);
-      
-      // Log after normalization
-      logger.info(
-        { 
-          traceId: req.traceId,
-          normalized: true
-        }, 
-        'After normalization'
-      );
+  if (startDate !== undefined) {
+    const date = parseDate(startDate);
+    if (!date) {
+      throw badRequest('startDate must be a valid date in YYYY-MM-DD format');
+    }
+    return { today, weekOf: mondayOf(date) };
+  }
 
-      // Validate data quality (including time budget)
-      const qualityCheck = validateDataQuality(plan, 'plan', profile);
-      if (!qualityCheck.valid) {
-        logger.warn({ traceId: req.traceId, issues: qualityCheck.issues }, 'Low quality data detected');
-      }
+  return { today, weekOf: mondayOf(parseDate(today)) };
+}
+
+/**
+ * Validates the plan a request builds on. Plans saved by older versions may be anchored
+ * to a Sunday; their weekOf is moved to the Monday of the week they cover.
+ *
+ * @param {object} plan - Plan from the request body (v1 or v2)
+ * @returns {object} Plan matching plan.schema.json, with a Monday weekOf
+ * @throws {Error} 400 if the plan or its weekOf is invalid
+ */
+function readCurrentPlan(plan) {
+  const currentPlan = readPlan(plan, 'Current plan');
+  if (!parseDate(currentPlan.weekOf)) {
+    throw badRequest('Current plan weekOf must be a valid date');
+  }
+  return isMonday(currentPlan.weekOf)
+    ? currentPlan
+    : { ...currentPlan, weekOf: normalizeWeekOf(currentPlan.weekOf) };
+}
+
+/**
+ * Reads the optional scheduling options of a routine request.
+ *
+ * @param {object} body - Request body ({ availability, breakMinutes })
+ * @returns {object|null} Scheduling options, or null if no availability was sent
+ * @throws {Error} 400 if the availability or break length is invalid
+ */
+function resolveScheduleOptions(body) {
+  const { availability, breakMinutes } = body;
+  if (availability === undefined) {
+    return null;
+  }
+
+  const options = { availability, breakMinutes };
+  assertValid(options, validateSchedule, 'Schedule options');
+  Object.values(availability).flat().forEach(parseWindow);
+
+  return options;
+}
+
+/**
+ * Adds how the profile's free-text constraints were understood to the result metadata,
+ * so constraints that could not be parsed are reported instead of silently ignored.
+ */
+function withConstraints(meta, profile) {
+  if (!profile?.constraints?.length) {
+    return meta;
+  }
+
+  const { rules, unparsed } = parseConstraints(profile.constraints);
+  return { ...meta, constraints: { rules, unparsed } };
+}
+
+/**
+ * Response body for a routine, with its timed schedule when availability was sent.
+ * Busy windows from the profile's constraints are kept free.
+ */
+function routineResult(plan, scheduleOptions, profile, planVersion) {
+  if (!scheduleOptions) {
+    return { plan: formatPlan(plan, planVersion) };
+  }
+
+  const { blockedWindows } = parseConstraints(profile?.constraints);
+  return {
+    plan: formatPlan(plan, planVersion),
+    schedule: scheduleWeek(plan, { ...scheduleOptions, blocked: blockedWindows }),
+  };
+}
 
-      // Check if safe to return
-      if (!isSafeToReturn(plan, riskAssessment)) {
-        logger.warn({ traceId: req.traceId, riskLevel: riskAssessment.level }, 'Unsafe content detected, using fallback');
-        plan = createFallbackResponse('routine', profile);
+/**
+ * Response body for a plan section reroll in the requested plan format. In v2, blocks and
+ * tasks that survived the reroll keep the IDs they had in the plan that was sent.
+ */
+function rerollResult(result, section, currentPlan, sentPlan, planVersion) {
+  if (planVersion !== 2 || !DAY_SECTIONS.includes(section)) {
+    return result;
+  }
+
+  const previous = planVersionOf(sentPlan) === 2 ? sentPlan : null;
+  return { [section]: migratePlan({ ...currentPlan, [section]: result[section] }, previous)[section] };
+}
+
+/**
+ * Validates a routine request and returns the generation to run for it.
+ *
+ * @param {object} req - Express request
+ * @returns {function} ({ signal, onDelta }) => Promise<{ data, meta }>
+ * @throws {Error} 400 if the availability, dates, preferences or plan version are invalid
+ */
+function prepareRoutine(req) {
+  // Bad availability, dates or plan version are the caller's mistake, so they are rejected
+  // rather than answered with a fallback
+  const scheduleOptions = resolveScheduleOptions(req.body);
+  const planVersion = getPlanVersion(req);
+  const { weekOf } = resolveWeekAnchor(req.body);
+  const preferences = resolvePreferences(req.body.preferences, req.body.profile);
+
+  return async ({ signal, onDelta } = {}) => {
+    try {
+      const { profile } = req.body;
+
+      // Validate input
+      if (!profile) {
+        const error = new Error('Missing required field: profile');
+        error.statusCode = 400;
+        throw error;
       }
 
-      // Log LLM interaction for safety evaluation
-      await logLLMInteraction({
+      assertValid(profile, validateProfile, 'Profile');
+
+      // Sanitize user inputs for safety
+      profile.name = sanitizeInput(profile.name);
+      profile.targetRole = sanitizeInput(profile.targetRole);
+      profile.stage = sanitizeInput(profile.stage);
+
+      logger.info({ traceId: req.traceId, weekOf }, 'Generating routine');
+
+      const { plan, meta } = await generateRoutine({
+        profile,
+        preferences,
+        weekOf,
         traceId: req.traceId,
-        model: config.openaiModel,
-        prompt: user,
-        response: responseText,
-        riskAssessment,
-        latency: Date.now() - startTime,
+        signal,
+        onDelta,
       });
+      return {
+        data: routineResult(plan, scheduleOptions, profile, planVersion),
+        meta: withConstraints(meta, profile),
+      };
+    } catch (error) {
+      if (isCancellation(error)) throw error;
+
+      // Final fallback on any error
+      logger.warn({ traceId: req.traceId, error: error.message }, 'Request failed, using fallback');
+      return {
+        data: routineResult(
+          createFallbackResponse('routine', req.body.profile, { weekOf }),
+          scheduleOptions,
+          req.body.profile,
+          planVersion
+        ),
+        meta: withConstraints(buildMeta(ResultSource.FALLBACK, null, error.message), req.body.profile),
+      };
+    }
+  };
+}
 
-      logger.info({ traceId: req.traceId, riskLevel: riskAssessment.level }, 'Routine generated successfully');
+/**
+ * Returns the generation to run for a prep pack request. Every failure, including a
+ * missing or invalid profile, is answered with the fallback prep pack.
+ *
+ * @param {object} req - Express request
+ * @returns {function} ({ signal, onDelta }) => Promise<{ data, meta }>
+ */
+function preparePrep(req) {
+  return async ({ signal, onDelta } = {}) => {
+    try {
+      const { profile } = req.body;
+
+      // Validate input
+      if (!profile) {
+        const error = new Error('Missing required field: profile');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      assertValid(profile, validateProfile, 'Profile');
 
-      res.json({ plan });
-    } catch (openaiError) {
-      // Fallback on API failure
-      logger.error({ traceId: req.traceId, error: openaiError.message }, 'OpenAI error, using fallback');
-      plan = createFallbackResponse('routine', profile);
-      res.json({ plan });
+      // Sanitize user inputs for safety
+      profile.name = sanitizeInput(profile.name);
+      profile.targetRole = sanitizeInput(profile.targetRole);
+      profile.stage = sanitizeInput(profile.stage);
+
+      logger.info({ traceId: req.traceId }, 'Generating prep pack');
+
+      const { prep, meta } = await generatePrep({ profile, traceId: req.traceId, signal, onDelta });
+      return { data: { prep }, meta };
+    } catch (error) {
+      if (isCancellation(error)) throw error;
+
+      // Final fallback on any error
+      logger.warn({ traceId: req.traceId, error: error.message }, 'Request failed, using fallback');
+      return {
+        data: { prep: createFallbackResponse('prep', req.body.profile) },
+        meta: buildMeta(ResultSource.FALLBACK, null, error.message),
+      };
     }
-  } catch (error) {
-    // Final fallback on any error
-    if (!plan) {
-      plan = createFallbackResponse('routine', req.body.profile);
-      res.json({ plan });
-    } else {
-      next(error);
+  };
+}
+
+/**
+ * Works out the program length from either an explicit week count or an interview date.
+ *
+ * @param {object} body - Request body ({ weeks, interviewDate })
+ * @param {object} anchor - { today, weekOf } from resolveWeekAnchor; weekOf starts the program
+ * @returns {number} Program length in weeks
+ * @throws {Error} 400 if neither is given or the value is out of range
+ */
+function resolveProgramWeeks({ weeks, interviewDate }, { today, weekOf: startWeekOf }) {
+  if (interviewDate !== undefined) {
+    const date = parseDate(interviewDate);
+    if (!date) {
+      throw badRequest('interviewDate must be a valid date in YYYY-MM-DD format');
     }
+    if (date < parseDate(today)) {
+      throw badRequest('interviewDate must not be in the past');
+    }
+    if (date < parseDate(startWeekOf)) {
+      throw badRequest(`interviewDate must not be before the program starts (${startWeekOf})`);
+    }
+
+    const totalWeeks = weeksBetween(startWeekOf, mondayOf(date)) + 1;
+    if (totalWeeks > MAX_PROGRAM_WEEKS) {
+      throw badRequest(
+        `interviewDate is more than ${MAX_PROGRAM_WEEKS} weeks away; pass weeks to plan the first ${MAX_PROGRAM_WEEKS} weeks`
+      );
+    }
+    return totalWeeks;
   }
-});
+
+  if (weeks === undefined) {
+    throw badRequest('Missing required field: weeks or interviewDate');
+  }
+  if (!Number.isInteger(weeks) || weeks < MIN_PROGRAM_WEEKS || weeks > MAX_PROGRAM_WEEKS) {
+    throw badRequest(`weeks must be an integer between ${MIN_PROGRAM_WEEKS} and ${MAX_PROGRAM_WEEKS}`);
+  }
+  return weeks;
+}
 
 /**
- * POST /generate/prep
- * Generates an interview prep pack from user profile.
+ * Validates a program request and returns the generation to run for it.
+ *
+ * @param {object} req - Express request
+ * @returns {function} ({ signal, onProgress }) => Promise<{ data, meta }>
+ * @throws {Error} 400 if the profile, dates, length, preferences or plan version are invalid
  */
-router.post('/prep', async (req, res, next) => {
+function prepareProgram(req) {
+  const { profile, interviewDate } = req.body;
+
+  // Validate input
+  if (!profile) {
+    const error = new Error('Missing required field: profile');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  assertValid(profile, validateProfile, 'Profile');
+
+  const anchor = resolveWeekAnchor(req.body);
+  const startWeekOf = anchor.weekOf;
+  const totalWeeks = resolveProgramWeeks(req.body, anchor);
+  const preferences = resolvePreferences(req.body.preferences, req.body.profile);
+  const planVersion = getPlanVersion(req);
+
+  // Sanitize user inputs for safety
+  profile.name = sanitizeInput(profile.name);
+  profile.targetRole = sanitizeInput(profile.targetRole);
+  profile.stage = sanitizeInput(profile.stage);
+
+  return async ({ signal, onProgress } = {}) => {
+    logger.info({ traceId: req.traceId, totalWeeks, startWeekOf }, 'Generating program');
+
+    const { program, meta } = await generateProgram({
+      profile,
+      preferences,
+      totalWeeks,
+      startWeekOf,
+      interviewDate,
+      traceId: req.traceId,
+      signal,
+      onProgress,
+    });
+    const weeks = program.weeks.map((week) => ({ ...week, plan: formatPlan(week.plan, planVersion) }));
+    return { data: { program: { ...program, weeks } }, meta: withConstraints(meta, profile) };
+  };
+}
+
+/**
+ * Preview events sent while the model writes, by generation kind: the nesting depth of the
+ * values to watch for (see createJsonStreamWatcher) and the event for each completed value.
+ */
+const STREAM_PREVIEWS = {
+  routine: {
+    depth: 2,
+    toEvent: ([section, day], value) => (section === 'timeBlocks' ? ['day', { day, timeBlocks: value }] : null),
+  },
+  prep: {
+    depth: 1,
+    toEvent: ([section], value) => ['section', { section, value }],
+  },
+};
+
+/**
+ * Runs a generation and streams it as Server-Sent Events: preview events as the model
+ * writes each part, then `done` with the validated, normalized result and its metadata.
+ * Previews are the model's raw output and carry the repair attempt they came from; a
+ * higher attempt replaces earlier previews, and a retried call may repeat a day or section,
+ * replacing its earlier preview. Fallback results are preceded by an `error`
+ * event with `fallback: true`; if nothing can be sent, `error` has `fallback: false`.
+ * Invalid requests are rejected with a JSON error before the stream starts.
+ */
+async function streamGeneration(req, res, next, kind, prepare) {
   const startTime = Date.now();
-  let prep = null;
-  
+
+  let run;
   try {
-    const { profile } = req.body;
+    run = prepare(req);
+  } catch (error) {
+    return next(error);
+  }
 
-    // Validate input
-    if (!profile) {
-      const error = new Error('Missing required field: profile');
-      error.statusCode = 400;
-      throw error;
+  const stream = openEventStream(res);
+  const { depth, toEvent } = STREAM_PREVIEWS[kind];
+  // One watcher per upstream call; a retried call streams again from the start
+  const watchers = new Map();
+  const onDelta = (text, attempt, call) => {
+    const key = `${attempt}:${call}`;
+    if (!watchers.has(key)) {
+      watchers.set(key, createJsonStreamWatcher({
+        depth,
+        onValue: (path, value) => {
+          const event = toEvent(path, value);
+          if (event) {
+            stream.send(event[0], { attempt, ...event[1] });
+          }
+        },
+      }));
     }
+    watchers.get(key).push(text);
+  };
 
-    assertValid(profile, validateProfile, 'Profile');
-
-    // Sanitize user inputs for safety
-    profile.name = sanitizeInput(profile.name);
-    profile.targetRole = sanitizeInput(profile.targetRole);
-    profile.stage = sanitizeInput(profile.stage);
-
-    logger.info({ traceId: req.traceId }, 'Generating prep pack');
+  try {
+    const { data, meta } = await run({ signal: req.signal, onDelta });
+    if (meta.source === ResultSource.FALLBACK) {
+      stream.send('error', { error: meta.reason, fallback: true, traceId: req.traceId });
+    }
+    stream.send('done', { data, meta: { ...meta, traceId: req.traceId, latencyMs: Date.now() - startTime } });
+  } catch (error) {
+    if (isCancellation(error)) {
+      logger.info({ traceId: req.traceId, kind }, 'Client closed the stream, generation cancelled');
+      return;
+    }
 
-    // Build prompt with safety guidelines
-    const { system, user, schema } = buildPrepPrompt(profile);
-    const safeSystemPrompt = addSafetyGuidelines(system);
-    
-    let responseText;
-    let riskAssessment;
-    
-    try {
-      // Call OpenAI with safety-enhanced prompt
-      responseText = await respondWithSchema({
-        model: config.openaiModel,
-        schema,
-        system: safeSystemPrompt,
-        user,
-      });
+    logger.error({ traceId: req.traceId, kind, error: error.message }, 'Streaming generation failed');
+    stream.send('error', { error: error.message, fallback: false, traceId: req.traceId });
+  } finally {
+    stream.close();
+  }
+}
 
-      // Assess response risk
-      riskAssessment = assessContentRisk(responseText);
+/**
+ * POST /generate/routine
+ * Generates a weekly routine plan from user profile.
+ */
+router.post('/routine', async (req, res, next) => {
+  const startTime = Date.now();
 
-      // Parse and validate response
-      prep = tryParseJson(responseText);
-      assertValid(prep, validatePrep, 'Generated prep pack');
+  try {
+    const { data, meta } = await prepareRoutine(req)({ signal: req.signal });
+    sendResult(req, res, data, meta, startTime);
+  } catch (error) {
+    next(error);
+  }
+});
 
-      // Filter unsafe content from prep
-      prep = filterLLMOutput(prep, 'prep');
+/**
+ * POST /generate/prep
+ * Generates an interview prep pack from user profile.
+ */
+router.post('/prep', async (req, res, next) => {
+  const startTime = Date.now();
 
-      // Validate data quality
-      const qualityCheck = validateDataQuality(prep, 'prep');
-      if (!qualityCheck.valid) {
-        logger.warn({ traceId: req.traceId, issues: qualityCheck.issues }, 'Low quality data detected');
-      }
+  try {
+    const { data, meta } = await preparePrep(req)({ signal: req.signal });
+    sendResult(req, res, data, meta, startTime);
+  } catch (error) {
+    next(error);
+  }
+});
 
-      // Check if safe to return
-      if (!isSafeToReturn(prep, riskAssessment)) {
-        logger.warn({ traceId: req.traceId, riskLevel: riskAssessment.level }, 'Unsafe content detected, using fallback');
-        prep = createFallbackResponse('prep', profile);
-      }
+/**
+ * POST /generate/routine/stream
+ * Same as /generate/routine, streamed as Server-Sent Events: a `day` event as each day of
+ * timeBlocks is written, then `done` with { data, meta } (see streamGeneration).
+ */
+router.post('/routine/stream', (req, res, next) => streamGeneration(req, res, next, 'routine', prepareRoutine));
 
-      // Log LLM interaction for safety evaluation
-      await logLLMInteraction({
-        traceId: req.traceId,
-        model: config.openaiModel,
-        prompt: user,
-        response: responseText,
-        riskAssessment,
-        latency: Date.now() - startTime,
-      });
+/**
+ * POST /generate/prep/stream
+ * Same as /generate/prep, streamed as Server-Sent Events: a `section` event as each prep
+ * section is written, then `done` with { data, meta } (see streamGeneration).
+ */
+router.post('/prep/stream', (req, res, next) => streamGeneration(req, res, next, 'prep', preparePrep));
 
-      logger.info({ traceId: req.traceId, riskLevel: riskAssessment.level }, 'Prep pack generated successfully');
+/**
+ * POST /generate/program
+ * Generates a multi-week program (warm-up, core patterns, mocks, taper) that ends
+ * at the interview date or after the requested number of weeks.
+ */
+router.post('/program', async (req, res, next) => {
+  const startTime = Date.now();
 
-      res.json({ prep });
-    } catch (openaiError) {
-      // Fallback on API failure
-      logger.error({ traceId: req.traceId, error: openaiError.message }, 'OpenAI error, using fallback');
-      prep = createFallbackResponse('prep', profile);
-      res.json({ prep });
-    }
+  try {
+    const { data, meta } = await prepareProgram(req)({ signal: req.signal });
+    sendResult(req, res, data, meta, startTime);
   } catch (error) {
-    // Final fallback on any error
-    if (!prep) {
-      prep = createFallbackResponse('prep', req.body.profile);
-      res.json({ prep });
-    } else {
-      next(error);
-    }
+    next(error);
   }
 });
 
 /**
- * POST /reroll/:section
- * Re-generates a specific section of an existing plan.
+ * POST /generate/adapt
+ * Generates next week's plan from the current plan and the progress tracked on it,
+ * with a short list of the adjustments made.
  */
-router.post('/:section', async (req, res, next) => {
+router.post('/adapt', async (req, res, next) => {
   const startTime = Date.now();
-  let result = null;
-  
+
   try {
-    const { section } = req.params;
-    const { profile, currentPlan } = req.body;
+    const { profile, progress } = req.body;
 
-    // Validate section
-    const validSections = getValidSections();
-    if (!validSections.includes(section)) {
-      const error = new Error(
-        `Invalid section: ${section}. Must be one of: ${validSections.join(', ')}`
-      );
+    // Validate input
+    if (!profile || !req.body.currentPlan || !progress) {
+      const error = new Error('Missing required fields: profile, currentPlan, progress');
       error.statusCode = 400;
       throw error;
     }
 
-    // Validate input
-    if (!profile || !currentPlan) {
-      const error = new Error('Missing required fields: profile, currentPlan');
+    assertValid(profile, validateProfile, 'Profile');
+    const currentPlan = readCurrentPlan(req.body.currentPlan);
+    assertValid(progress, validateProgress, 'Progress');
+    const preferences = resolvePreferences(req.body.preferences, req.body.profile);
+
+    // Answer in the format the current plan was sent in unless another one is requested
+    const planVersion = getPlanVersion(req, planVersionOf(req.body.currentPlan));
+
+    if (progress.weekOf && progress.weekOf !== req.body.currentPlan.weekOf) {
+      const error = new Error(
+        `Progress weekOf (${progress.weekOf}) does not match current plan weekOf (${req.body.currentPlan.weekOf})`
+      );
       error.statusCode = 400;
       throw error;
     }
 
-    assertValid(profile, validateProfile, 'Profile');
-    assertValid(currentPlan, validatePlan, 'Current plan');
+    // Sanitize user inputs for safety
+    profile.name = sanitizeInput(profile.name);
+    profile.targetRole = sanitizeInput(profile.targetRole);
+    profile.stage = sanitizeInput(profile.stage);
+    progress.tasks.forEach((task) => {
+      task.label = sanitizeInput(task.label);
+    });
+    progress.completedMilestones = (progress.completedMilestones || []).map((milestone) => sanitizeInput(milestone));
+
+    logger.info({ traceId: req.traceId, tasks: progress.tasks.length }, 'Generating adapted routine');
+
+    const { plan, adjustments, meta } = await generateAdaptedRoutine({
+      profile,
+      preferences,
+      currentPlan,
+      progress,
+      traceId: req.traceId,
+      signal: req.signal,
+    });
+    sendResult(req, res, { plan: formatPlan(plan, planVersion), adjustments }, withConstraints(meta, profile), startTime);
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Sanitize inputs
-    if (profile.name) profile.name = sanitizeInput(profile.name);
-    if (profile.targetRole) profile.targetRole = sanitizeInput(profile.targetRole);
+/**
+ * Validates a prep pack section reroll (body: { profile, currentPrep }) and returns the
+ * generation to run for it.
+ */
+function prepareRerollPrep(req, { section, day }) {
+  const { profile, currentPrep } = req.body;
+
+  const validSections = getValidSections('prep');
+  if (!validSections.includes(section)) {
+    const error = new Error(
+      `Invalid prep section: ${section}. Must be one of: ${validSections.join(', ')}`
+    );
+    error.statusCode = 400;
+    throw error;
+  }
 
-    logger.info({ traceId: req.traceId, section }, 'Rerolling section');
+  if (day || req.body.pinned) {
+    const error = new Error('Day-scoped rerolls and pins are only supported for plan sections');
+    error.statusCode = 400;
+    throw error;
+  }
 
-    try {
-      // Build prompt with safety guidelines
-      const { system, user, schema } = buildRerollPrompt(
-        section,
-        profile,
-        currentPlan
-      );
-      const safeSystemPrompt = addSafetyGuidelines(system);
-      
-      const responseText = await respondWithSchema({
-        model: config.openaiModel,
-        schema,
-        system: safeSystemPrompt,
-        user,
-      });
+  if (!profile) {
+    const error = new Error('Missing required field: profile');
+    error.statusCode = 400;
+    throw error;
+  }
 
-      // Assess response risk
-      const riskAssessment = assessContentRisk(responseText);
+  assertValid(profile, validateProfile, 'Profile');
+  assertValid(currentPrep, validatePrep, 'Current prep');
 
-      // Parse response (will be an object with single key matching section)
-      result = tryParseJson(responseText);
+  const { feedback, focus } = resolveSteering(req.body);
 
-      // Filter unsafe content
-      if (result[section]) {
-        result[section] = filterLLMOutput(result[section], section);
-      }
+  // Sanitize inputs
+  if (profile.name) profile.name = sanitizeInput(profile.name);
+  if (profile.targetRole) profile.targetRole = sanitizeInput(profile.targetRole);
 
-      // Validate that result has the expected section key
-      if (!result[section]) {
-        const error = new Error(`Response missing expected section: ${section}`);
-        error.statusCode = 502;
-        throw error;
-      }
+  return async ({ signal } = {}) => {
+    logger.info({ traceId: req.traceId, section, hasFeedback: !!feedback, focus }, 'Rerolling prep section');
 
-      // Normalize durations if rerolling timeBlocks
-      if (section === 'timeBlocks') {
-        // Merge the rerolled section into the current plan temporarily for normalization
-        const tempPlan = { ...currentPlan, timeBlocks: result.timeBlocks };
-        const normalizedPlan = normalizePlanDurations(tempPlan, profile, req.traceId);
-        result.timeBlocks = normalizedPlan.timeBlocks;
-      }
+    const { result, meta } = await rerollPrepSection({
+      section,
+      profile,
+      currentPrep,
+      feedback,
+      focus,
+      traceId: req.traceId,
+      signal,
+    });
+    return { data: result, meta };
+  };
+}
 
-      // Check if safe to return
-      if (!isSafeToReturn(result[section], riskAssessment)) {
-        logger.warn({ traceId: req.traceId, section, riskLevel: riskAssessment.level }, 'Unsafe content detected');
-        throw new Error('Unsafe content generated');
-      }
+/**
+ * Validates a plan or prep pack section reroll and returns the generation to run for it.
+ *
+ * @param {object} req - Express request
+ * @param {object} target - { section, day } Section to reroll, optionally only one day of it
+ * @returns {function} ({ signal }) => Promise<{ data, meta }>
+ * @throws {Error} 400 if the section, day, plan, pins, steering or preferences are invalid
+ */
+function prepareReroll(req, { section, day = null }) {
+  const { profile, currentPrep, pinned } = req.body;
 
-      // Log interaction
-      await logLLMInteraction({
-        traceId: req.traceId,
-        model: config.openaiModel,
-        prompt: user,
-        response: responseText,
-        riskAssessment,
-        latency: Date.now() - startTime,
-      });
+  if (req.body.currentPlan && currentPrep) {
+    const error = new Error('Provide either currentPlan or currentPrep, not both');
+    error.statusCode = 400;
+    throw error;
+  }
 
-      logger.info({ traceId: req.traceId, section, riskLevel: riskAssessment.level }, 'Section rerolled successfully');
-
-      res.json(result);
-    } catch (openaiError) {
-      logger.error({ traceId: req.traceId, section, error: openaiError.message }, 'Reroll error');
-      // Return current plan's existing data for that section
-      if (currentPlan && currentPlan[section]) {
-        result = { [section]: currentPlan[section] };
-        res.json(result);
-      } else {
-        throw openaiError;
-      }
+  if (currentPrep) {
+    return prepareRerollPrep(req, { section, day });
+  }
+
+  // Validate section
+  const validSections = getValidSections();
+  if (!validSections.includes(section)) {
+    const error = new Error(
+      `Invalid section: ${section}. Must be one of: ${validSections.join(', ')}` +
+      (getValidSections('prep').includes(section) ? ' (prep sections require currentPrep)' : '')
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // Validate input
+  if (!profile || !req.body.currentPlan) {
+    const error = new Error('Missing required fields: profile, currentPlan');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  assertValid(profile, validateProfile, 'Profile');
+  const currentPlan = readCurrentPlan(req.body.currentPlan);
+  const today = todayIn(resolveTimeZone(req.body.timezone));
+  const planVersion = getPlanVersion(req, planVersionOf(req.body.currentPlan));
+
+  // Validate day scope
+  if (day) {
+    if (!DAY_SECTIONS.includes(section)) {
+      const error = new Error(`Day-scoped rerolls are only supported for: ${DAY_SECTIONS.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    const availableDays = resolveAvailableDays(profile);
+    if (!availableDays.includes(day)) {
+      const error = new Error(
+        `Invalid day: ${day}. Must be one of the available days: ${availableDays.join(', ')}`
+      );
+      error.statusCode = 400;
+      throw error;
     }
+  }
+
+  const pins = resolvePins(pinned, { section, currentPlan, profile, day });
+  const { feedback, focus } = resolveSteering(req.body);
+  const preferences = resolvePreferences(req.body.preferences, req.body.profile);
+
+  // Sanitize inputs
+  if (profile.name) profile.name = sanitizeInput(profile.name);
+  if (profile.targetRole) profile.targetRole = sanitizeInput(profile.targetRole);
+
+  return async ({ signal } = {}) => {
+    logger.info(
+      { traceId: req.traceId, section, day, pinnedDays: Object.keys(pins), hasFeedback: !!feedback, focus },
+      'Rerolling section'
+    );
+
+    const { result, meta } = await rerollSection({
+      section,
+      profile,
+      currentPlan,
+      day,
+      pinned: pins,
+      feedback,
+      focus,
+      today,
+      preferences,
+      traceId: req.traceId,
+      signal,
+    });
+    return {
+      data: rerollResult(result, section, currentPlan, req.body.currentPlan, planVersion),
+      meta: withConstraints(meta, profile),
+    };
+  };
+}
+
+/**
+ * Request preparers by generation kind, shared with the job API (routes/jobs.js).
+ * Each one validates the request up front, so bad input is rejected before any work
+ * starts, and returns a function that runs the generation: ({ signal, onProgress }) =>
+ * Promise<{ data, meta }>, where data is the response body of the matching route.
+ * Reroll jobs name the section (and optional day) in the body instead of the path.
+ */
+export const GENERATION_PREPARERS = {
+  routine: prepareRoutine,
+  prep: preparePrep,
+  program: prepareProgram,
+  reroll: (req) => prepareReroll(req, { section: req.body.section, day: req.body.day }),
+};
+
+/**
+ * POST /reroll/:section/:day?
+ * Re-generates a specific section of an existing plan, or a single day of it
+ * (e.g. /reroll/timeBlocks/Wed). Items listed in `pinned` come back unchanged;
+ * optional `feedback` text and `focus` weights steer the new version.
+ * With `currentPrep` instead of `currentPlan`, re-generates a prep pack section.
+ */
+router.post('/:section/:day?', async (req, res, next) => {
+  const startTime = Date.now();
+
+  try {
+    const { data, meta } = await prepareReroll(req, req.params)({ signal: req.signal });
+    sendResult(req, res, data, meta, startTime);
   } catch (error) {
     next(error);
   }
 });
 
 export default router;
-
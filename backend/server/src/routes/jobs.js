@@ -0,0 +1,81 @@
+/**
+ * jobs.js
+ * API routes for asynchronous generation jobs: start a generation, poll it and cancel it.
+ */
+
+import express from 'express';
+import { GENERATION_PREPARERS } from './generate.js';
+import { createJob, getJob, cancelJob } from '../services/jobs.js';
+
+const router = express.Router();
+
+const JOB_KINDS = Object.keys(GENERATION_PREPARERS);
+
+function notFound(id) {
+  const error = new Error(`Job not found: ${id}`);
+  error.statusCode = 404;
+  return error;
+}
+
+/**
+ * POST /jobs
+ * Starts a generation job. The body is the body of the matching generate route plus
+ * `kind` (routine, prep, reroll, program); reroll jobs also name the `section` and
+ * optional `day`. Invalid input is rejected here, before the job is created.
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const { kind } = req.body;
+
+    if (!JOB_KINDS.includes(kind)) {
+      const error = new Error(
+        kind ? `Invalid job kind: ${kind}. Must be one of: ${JOB_KINDS.join(', ')}` : 'Missing required field: kind'
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const run = GENERATION_PREPARERS[kind](req);
+    const job = await createJob({ kind, run, traceId: req.traceId });
+
+    res.status(202).location(`${req.baseUrl}/${job.id}`).json(job);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /jobs/:id
+ * Returns a job's status and progress, and its result ({ result, meta }) once it succeeded.
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job) {
+      throw notFound(req.params.id);
+    }
+
+    res.json(job);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /jobs/:id
+ * Cancels a queued or running job; its in-flight LLM call is aborted.
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const job = await cancelJob(req.params.id);
+    if (!job) {
+      throw notFound(req.params.id);
+    }
+
+    res.json(job);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
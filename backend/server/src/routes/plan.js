@@ -0,0 +1,39 @@
+/**
+ * plan.js
+ * API route for upgrading saved plans to the current plan format.
+ */
+
+import express from 'express';
+import logger from '../utils/logger.js';
+import { readPlan, migratePlan, planVersionOf } from '../services/planFormat.js';
+
+const router = express.Router();
+
+/**
+ * POST /plan/migrate
+ * Upgrades a v1 plan (e.g. a saved plan_YYYY-MM-DD.json) to v2. v2 plans are validated
+ * and returned unchanged.
+ */
+router.post('/migrate', (req, res, next) => {
+  try {
+    const { plan } = req.body;
+
+    if (!plan) {
+      const error = new Error('Missing required field: plan');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const fromVersion = planVersionOf(plan);
+    const planV1 = readPlan(plan, 'Plan');
+    const migrated = fromVersion === 2 ? plan : migratePlan(planV1);
+
+    logger.info({ traceId: req.traceId, weekOf: plan.weekOf, fromVersion }, 'Plan migrated');
+
+    res.json({ plan: migrated, fromVersion });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,69 @@
+/**
+ * profile.js
+ * API route for checking a profile and how its free-text constraints are understood.
+ */
+
+import express from 'express';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { compile, assertValid } from '../utils/validate.js';
+import logger from '../utils/logger.js';
+import { sanitizeInput } from '../services/safety.js';
+import { parseConstraints, resolveAvailableDays, resolveDayBudgets } from '../utils/constraints.js';
+
+const router = express.Router();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load and compile schemas
+const profileSchemaPath = join(__dirname, '../schemas/profile.schema.json');
+const profileSchema = JSON.parse(readFileSync(profileSchemaPath, 'utf-8'));
+const validateProfile = compile(profileSchema);
+
+/**
+ * POST /profile
+ * Validates a profile and returns the structured rules parsed from its constraints,
+ * plus any constraints that could not be understood.
+ */
+router.post('/', (req, res, next) => {
+  try {
+    const { profile } = req.body;
+
+    if (!profile) {
+      const error = new Error('Missing required field: profile');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    assertValid(profile, validateProfile, 'Profile');
+
+    // Sanitize user inputs for safety
+    profile.name = sanitizeInput(profile.name);
+    profile.targetRole = sanitizeInput(profile.targetRole);
+    profile.stage = sanitizeInput(profile.stage);
+    profile.constraints = (profile.constraints || []).map(sanitizeInput);
+
+    const parsed = parseConstraints(profile.constraints);
+
+    logger.info({
+      traceId: req.traceId,
+      rules: parsed.rules.length,
+      unparsed: parsed.unparsed.length,
+    }, 'Parsed profile constraints');
+
+    res.json({
+      profile,
+      constraints: {
+        ...parsed,
+        availableDays: resolveAvailableDays(profile, parsed),
+        dayBudgets: resolveDayBudgets(profile, parsed),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,62 @@
+/**
+ * schedule.js
+ * API route for turning a plan's time blocks into a timed schedule.
+ */
+
+import express from 'express';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { compile, assertValid } from '../utils/validate.js';
+import logger from '../utils/logger.js';
+import { scheduleWeek } from '../services/scheduler.js';
+import { parseConstraints } from '../utils/constraints.js';
+import { readPlan } from '../services/planFormat.js';
+
+const router = express.Router();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load and compile schemas
+const scheduleSchemaPath = join(__dirname, '../schemas/schedule.schema.json');
+
+const scheduleSchema = JSON.parse(readFileSync(scheduleSchemaPath, 'utf-8'));
+
+const validateSchedule = compile(scheduleSchema);
+
+/**
+ * POST /schedule
+ * Assigns start and end times to a plan's time blocks within availability windows.
+ */
+router.post('/', (req, res, next) => {
+  try {
+    const { plan: sentPlan, ...options } = req.body;
+
+    if (!sentPlan) {
+      const error = new Error('Missing required field: plan');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const plan = readPlan(sentPlan, 'Plan');
+    assertValid(options, validateSchedule, 'Schedule options');
+
+    // Free-text constraints such as "gym MWF 6-7pm" take their busy time out of the windows
+    const { blockedWindows } = parseConstraints(options.constraints);
+    const schedule = scheduleWeek(plan, { ...options, blocked: blockedWindows });
+
+    logger.info({
+      traceId: req.traceId,
+      weekOf: plan.weekOf,
+      unscheduled: schedule.unscheduled.length,
+      conflicts: schedule.conflicts.length,
+    }, 'Plan scheduled');
+
+    res.json({ schedule });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
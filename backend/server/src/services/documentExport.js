@@ -0,0 +1,300 @@
+/**
+ * documentExport.js
+ * Renders a plan and/or prep pack as a Markdown or printable HTML document.
+ *
+ * Both formats are built from the same list of document blocks, so they always have
+ * the same layout. Output depends only on the input (no timestamps, no network, no
+ * external stylesheets), so the same plan always exports to the same bytes.
+ */
+
+const DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const DAY_NAMES = {
+  Mon: 'Monday',
+  Tue: 'Tuesday',
+  Wed: 'Wednesday',
+  Thu: 'Thursday',
+  Fri: 'Friday',
+  Sat: 'Saturday',
+  Sun: 'Sunday',
+};
+
+const DEFAULT_TITLE = 'CareerRoutine';
+
+function formatHours(hours) {
+  return `${parseFloat(hours.toFixed(2))}h`;
+}
+
+/**
+ * Only http(s) links are rendered as links; anything else is shown as plain text.
+ */
+function isWebUrl(url) {
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Weekly grid: one column per day, one row per block position, plus a totals row.
+ */
+function scheduleTable(timeBlocks) {
+  const rowCount = Math.max(0, ...DAYS.map((day) => (timeBlocks[day] || []).length));
+  const rows = [];
+
+  for (let i = 0; i < rowCount; i++) {
+    rows.push(DAYS.map((day) => {
+      const block = (timeBlocks[day] || [])[i];
+      return block ? `${block.label} (${formatHours(block.durationHours)})` : '';
+    }));
+  }
+
+  rows.push(DAYS.map((day) => {
+    const total = (timeBlocks[day] || []).reduce((sum, block) => sum + block.durationHours, 0);
+    return total > 0 ? `Total: ${formatHours(total)}` : 'Rest';
+  }));
+
+  return { type: 'table', header: DAYS, rows };
+}
+
+/**
+ * Document blocks for a plan.
+ */
+function planBlocks(plan) {
+  const blocks = [
+    { type: 'heading', level: 2, text: `Week of ${plan.weekOf}` },
+    { type: 'heading', level: 3, text: 'Weekly schedule' },
+    scheduleTable(plan.timeBlocks),
+    { type: 'heading', level: 3, text: 'Daily checklists' },
+  ];
+
+  for (const day of DAYS) {
+    const tasks = plan.dailyTasks[day] || [];
+    if (tasks.length === 0) continue;
+    blocks.push(
+      { type: 'heading', level: 4, text: DAY_NAMES[day] },
+      { type: 'checklist', items: tasks }
+    );
+  }
+
+  if (plan.milestones.length > 0) {
+    blocks.push(
+      { type: 'heading', level: 3, text: 'Milestones' },
+      { type: 'checklist', items: plan.milestones }
+    );
+  }
+
+  if (plan.resources.length > 0) {
+    blocks.push(
+      { type: 'heading', level: 3, text: 'Resources' },
+      { type: 'links', items: plan.resources }
+    );
+  }
+
+  return blocks;
+}
+
+/**
+ * Document blocks for a prep pack.
+ */
+function prepBlocks(prep) {
+  const blocks = [{ type: 'heading', level: 2, text: 'Interview prep pack' }];
+
+  if (prep.prepOutline.length > 0) {
+    blocks.push({ type: 'heading', level: 3, text: 'Prep outline' });
+    prep.prepOutline.forEach((step, index) => {
+      blocks.push(
+        { type: 'heading', level: 4, text: `${index + 1}. ${step.section}` },
+        { type: 'list', items: step.items }
+      );
+    });
+  }
+
+  if (prep.weeklyDrillPlan.length > 0) {
+    blocks.push({ type: 'heading', level: 3, text: 'Weekly drill plan' });
+    for (const { day, drills } of prep.weeklyDrillPlan) {
+      blocks.push(
+        { type: 'heading', level: 4, text: DAY_NAMES[day] },
+        { type: 'checklist', items: drills }
+      );
+    }
+  }
+
+  blocks.push(
+    { type: 'heading', level: 3, text: 'Starter questions' },
+    { type: 'list', ordered: true, items: prep.starterQuestions }
+  );
+
+  if (prep.resources.length > 0) {
+    blocks.push(
+      { type: 'heading', level: 3, text: 'Resources' },
+      { type: 'links', items: prep.resources }
+    );
+  }
+
+  return blocks;
+}
+
+function documentBlocks({ plan, prep, title }) {
+  return [
+    { type: 'heading', level: 1, text: title },
+    ...(plan ? planBlocks(plan) : []),
+    ...(prep ? prepBlocks(prep) : []),
+  ];
+}
+
+/**
+ * MARKDOWN
+ */
+
+/**
+ * Escapes characters that Markdown would interpret inside a line of text.
+ */
+function escapeMarkdown(text) {
+  return String(text)
+    .replace(/\s*\r?\n\s*/g, ' ')
+    .replace(/([\\`*_[\]<>])/g, '\\$1')
+    .replace(/^([#+-])/, '\\$1');
+}
+
+function markdownUrl(url) {
+  return url.replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29');
+}
+
+function renderMarkdownBlock(block) {
+  switch (block.type) {
+  case 'heading':
+    return `${'#'.repeat(block.level)} ${escapeMarkdown(block.text)}`;
+  case 'table': {
+    const row = (cells) => `| ${cells.map((cell) => escapeMarkdown(cell).replace(/\|/g, '\\|') || ' ').join(' | ')} |`;
+    return [
+      row(block.header),
+      `| ${block.header.map(() => '---').join(' | ')} |`,
+      ...block.rows.map(row),
+    ].join('\n');
+  }
+  case 'checklist':
+    return block.items.map((item) => `- [ ] ${escapeMarkdown(item)}`).join('\n');
+  case 'list':
+    return block.items
+      .map((item, index) => `${block.ordered ? `${index + 1}.` : '-'} ${escapeMarkdown(item)}`)
+      .join('\n');
+  case 'links':
+    return block.items
+      .map(({ title, url }) => (isWebUrl(url)
+        ? `- [${escapeMarkdown(title)}](${markdownUrl(url)})`
+        : `- ${escapeMarkdown(title)}`))
+      .join('\n');
+  default:
+    return '';
+  }
+}
+
+/**
+ * Renders a plan and/or prep pack as Markdown (GitHub-flavored, with task checkboxes).
+ *
+ * @param {object} params - Document contents
+ * @param {object} params.plan - Plan matching plan.schema.json (optional)
+ * @param {object} params.prep - Prep pack matching prep.schema.json (optional)
+ * @param {string} params.title - Document title
+ * @returns {string} Markdown document
+ */
+export function renderMarkdown({ plan = null, prep = null, title = DEFAULT_TITLE }) {
+  return `${documentBlocks({ plan, prep, title }).map(renderMarkdownBlock).join('\n\n')}\n`;
+}
+
+/**
+ * HTML
+ */
+
+const HTML_STYLE = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif;
+    color: #1d1d1f; max-width: 960px; margin: 2rem auto; padding: 0 1rem; line-height: 1.45; }
+  h1 { font-size: 1.8rem; margin-bottom: 0.25rem; }
+  h2 { font-size: 1.4rem; border-bottom: 2px solid #d2d2d7; padding-bottom: 0.25rem; margin-top: 2rem; }
+  h3 { font-size: 1.15rem; margin-top: 1.5rem; }
+  h4 { font-size: 1rem; margin: 1rem 0 0.25rem; }
+  table { width: 100%; border-collapse: collapse; table-layout: fixed; font-size: 0.85rem; }
+  th, td { border: 1px solid #d2d2d7; padding: 0.35rem; vertical-align: top; text-align: left; }
+  th { background: #f5f5f7; }
+  tr:last-child td { font-weight: 600; background: #fafafa; }
+  ul.checklist { list-style: none; padding-left: 0.25rem; }
+  ul.checklist li::before { content: "\\2610"; margin-right: 0.5rem; }
+  a { color: #0066cc; }
+  @media print {
+    body { margin: 0; max-width: none; }
+    h2 { break-before: auto; }
+    h3, h4 { break-after: avoid; }
+    table, li { break-inside: avoid; }
+    a { color: inherit; text-decoration: none; }
+    a::after { content: " (" attr(href) ")"; font-size: 0.8em; }
+  }
+`;
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function renderHtmlBlock(block) {
+  const items = (values, render = escapeHtml) => values.map((value) => `    <li>${render(value)}</li>`).join('\n');
+
+  switch (block.type) {
+  case 'heading':
+    return `  <h${block.level}>${escapeHtml(block.text)}</h${block.level}>`;
+  case 'table':
+    return [
+      '  <table>',
+      `    <thead><tr>${block.header.map((cell) => `<th>${escapeHtml(cell)}</th>`).join('')}</tr></thead>`,
+      '    <tbody>',
+      ...block.rows.map((row) => `      <tr>${row.map((cell) => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`),
+      '    </tbody>',
+      '  </table>',
+    ].join('\n');
+  case 'checklist':
+    return `  <ul class="checklist">\n${items(block.items)}\n  </ul>`;
+  case 'list': {
+    const tag = block.ordered ? 'ol' : 'ul';
+    return `  <${tag}>\n${items(block.items)}\n  </${tag}>`;
+  }
+  case 'links':
+    return `  <ul>\n${items(block.items, ({ title, url }) => (isWebUrl(url)
+      ? `<a href="${escapeHtml(url)}" rel="noopener noreferrer">${escapeHtml(title)}</a>`
+      : escapeHtml(title)))}\n  </ul>`;
+  default:
+    return '';
+  }
+}
+
+/**
+ * Renders a plan and/or prep pack as a standalone, printable HTML page.
+ * Styles are inlined so the page prints the same offline.
+ *
+ * @param {object} params - Document contents
+ * @param {object} params.plan - Plan matching plan.schema.json (optional)
+ * @param {object} params.prep - Prep pack matching prep.schema.json (optional)
+ * @param {string} params.title - Document title
+ * @returns {string} HTML document
+ */
+export function renderHtml({ plan = null, prep = null, title = DEFAULT_TITLE }) {
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '  <meta charset="utf-8">',
+    '  <meta name="viewport" content="width=device-width, initial-scale=1">',
+    `  <title>${escapeHtml(title)}</title>`,
+    `  <style>${HTML_STYLE}  </style>`,
+    '</head>',
+    '<body>',
+    ...documentBlocks({ plan, prep, title }).map(renderHtmlBlock),
+    '</body>',
+    '</html>',
+    '',
+  ].join('\n');
+}
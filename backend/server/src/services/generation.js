@@ -0,0 +1,618 @@
+/**
+ * generation.js
+ * Generation pipeline shared by the API routes.
+ *
+ * Each generator builds the prompt, runs the self-correcting repair loop
+ * (LLM call → parse → schema validation → output filtering → normalization →
+ * quality checks), applies the safety checks and logs the interaction for evaluation.
+ * Failures fall back to safe content instead of surfacing upstream errors. Cancelled
+ * generation (see utils/cancellation.js) stops without a fallback.
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import config from '../config.js';
+import logger from '../utils/logger.js';
+import { compile, formatValidationErrors } from '../utils/validate.js';
+import { tryParseJson } from '../utils/jsonFix.js';
+import { normalizePlanDurations } from '../utils/normalizeDurations.js';
+import { resolveBlockBounds } from '../utils/preferences.js';
+import { buildRoutinePrompt } from '../prompts/routinePrompt.js';
+import { buildProgramWeekPrompt, planProgramPhases } from '../prompts/programPrompt.js';
+import { buildAdaptPrompt } from '../prompts/adaptPrompt.js';
+import { buildPrepPrompt } from '../prompts/prepPrompt.js';
+import { buildRerollPrompt, buildPrepRerollPrompt, DAY_SECTIONS } from '../prompts/rerollPrompt.js';
+import { ResultSource, buildMeta, combineMeta } from '../utils/envelope.js';
+import { addWeeks } from '../utils/week.js';
+import { isCancellation, throwIfCancelled } from '../utils/cancellation.js';
+import { generateWithRepair } from './repair.js';
+import { analyzeProgress, checkAdjustments } from './progress.js';
+import { applyPins } from './pins.js';
+import { enforcePlanPolicy } from './planPolicy.js';
+import { checkRerollDirection } from './rerollFeedback.js';
+import {
+  assessContentRisk,
+  filterLLMOutput,
+  validateDataQuality,
+  isSafeToReturn,
+  createFallbackResponse,
+  addSafetyGuidelines,
+  logLLMInteraction,
+} from './safety.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load and compile output schemas
+const planSchema = JSON.parse(readFileSync(join(__dirname, '../schemas/plan.schema.json'), 'utf-8'));
+const prepSchema = JSON.parse(readFileSync(join(__dirname, '../schemas/prep.schema.json'), 'utf-8'));
+
+const validatePlan = compile(planSchema);
+const validatePrep = compile(prepSchema);
+
+/**
+ * Parses response text and validates it against a compiled schema.
+ * @returns {object} { value } on success, { issues } on failure
+ */
+function parseAndValidate(responseText, validator) {
+  let value;
+  try {
+    value = tryParseJson(responseText);
+  } catch (error) {
+    return { issues: [error.message] };
+  }
+
+  if (!validator(value)) {
+    return { issues: formatValidationErrors(validator.errors) };
+  }
+
+  return { value };
+}
+
+/**
+ * Logs a finished (or failed) repair loop to the eval log.
+ */
+async function logRepairInteraction(traceId, startTime, result) {
+  await logLLMInteraction({
+    traceId,
+    model: result.model || config.openaiModel,
+    prompt: result.prompt,
+    response: result.responseText,
+    riskAssessment: result.riskAssessment,
+    latency: Date.now() - startTime,
+    attempts: result.attempts,
+    repairOutcome: result.outcome,
+  });
+}
+
+/**
+ * Runs the repair loop and logs the outcome, including failed and cancelled loops.
+ */
+async function runRepairLoop(params, startTime) {
+  try {
+    const result = await generateWithRepair(params);
+    await logRepairInteraction(params.traceId, startTime, result);
+    return result;
+  } catch (error) {
+    if (error.repair) {
+      await logRepairInteraction(params.traceId, startTime, error.repair);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Template plan used when generation fails. Template blocks use the default lengths, so
+ * they are normalized to the preferred block bounds when there are any.
+ */
+function createFallbackPlan(profile, preferences, weekOf, traceId) {
+  const plan = createFallbackResponse('routine', profile, { weekOf });
+  return preferences?.blockLengthMinutes
+    ? normalizePlanDurations(plan, profile, traceId, resolveBlockBounds(preferences)).plan
+    : plan;
+}
+
+/**
+ * Generates a weekly routine plan.
+ *
+ * @param {object} params - Generation parameters
+ * @param {object} params.profile - Validated, sanitized user profile
+ * @param {object} params.preferences - Optional generation preferences
+ * @param {string} params.traceId - Request trace ID
+ * @param {string} params.weekOf - Optional Monday of the plan week (defaults to the current week)
+ * @param {object} params.prompt - Optional prebuilt routine prompt ({ system, user, schema, weekOf }),
+ *   e.g. for program weeks or adapted plans
+ * @param {AbortSignal} params.signal - Optional cancellation signal
+ * @param {function} params.onDelta - Optional (text, attempt) callback receiving the raw response
+ *   as it streams (see generateWithRepair)
+ * @param {function} params.checkPlan - Optional (plan) => issues check of the normalized plan,
+ *   e.g. that an adapted plan makes its adjustments; issues are re-prompted like quality issues
+ * @returns {Promise<object>} { plan, meta }
+ * @throws {Error} Cancellation error if the signal fires
+ */
+export async function generateRoutine({
+  profile,
+  preferences,
+  traceId,
+  weekOf: requestedWeekOf,
+  prompt,
+  signal,
+  onDelta,
+  checkPlan,
+}) {
+  const startTime = Date.now();
+  const { system, user, schema, weekOf } = prompt
+    || buildRoutinePrompt(profile, preferences, { weekOf: requestedWeekOf });
+
+  try {
+    const result = await runRepairLoop({
+      label: 'Generated plan',
+      request: {
+        model: config.openaiModel,
+        schema,
+        system: addSafetyGuidelines(system),
+        user,
+        context: { kind: 'routine', profile, weekOf },
+      },
+      traceId,
+      signal,
+      onDelta,
+      evaluate: (responseText) => {
+        const riskAssessment = assessContentRisk(responseText);
+        const { value, issues } = parseAndValidate(responseText, validatePlan);
+        if (!value) {
+          return { valid: false, issues, riskAssessment };
+        }
+
+        // The week is fixed by the request; the model only echoes it back
+        if (value.weekOf !== weekOf) {
+          logger.warn({ traceId, weekOf, returnedWeekOf: value.weekOf }, 'Model returned the wrong week, correcting weekOf');
+        }
+
+        // Filter unsafe content, repair availability and coverage slips, then normalize
+        // durations to the daily budgets
+        const { plan: repaired } = enforcePlanPolicy(filterLLMOutput({ ...value, weekOf }, 'plan'), profile, { traceId });
+        const { plan, report } = normalizePlanDurations(repaired, profile, traceId, resolveBlockBounds(preferences));
+
+        // Validate data quality (including time budget and preferences)
+        const qualityCheck = validateDataQuality(plan, 'plan', profile, { preferences });
+        const planIssues = checkPlan ? checkPlan(plan) : [];
+        return { valid: true, value: plan, issues: [...qualityCheck.issues, ...planIssues], riskAssessment, normalization: report };
+      },
+    }, startTime);
+
+    if (result.issues.length > 0) {
+      logger.warn({ traceId, issues: result.issues }, 'Low quality data detected');
+    }
+
+    // Check if safe to return
+    if (!isSafeToReturn(result.value, result.riskAssessment)) {
+      logger.warn({ traceId, riskLevel: result.riskAssessment.level }, 'Unsafe content detected, using fallback');
+      return {
+        plan: createFallbackPlan(profile, preferences, weekOf, traceId),
+        meta: buildMeta(ResultSource.FALLBACK, result, 'Unsafe content detected'),
+      };
+    }
+
+    logger.info({ traceId, riskLevel: result.riskAssessment.level, attempts: result.attempts.length }, 'Routine generated successfully');
+    return { plan: result.value, meta: buildMeta(ResultSource.LLM, result) };
+  } catch (error) {
+    if (isCancellation(error)) throw error;
+
+    // Fallback on API or validation failure
+    logger.error({ traceId, error: error.message }, 'Routine generation failed, using fallback');
+    return {
+      plan: createFallbackPlan(profile, preferences, weekOf, traceId),
+      meta: buildMeta(ResultSource.FALLBACK, error.repair, error.message),
+    };
+  }
+}
+
+// Most recent milestones fed into each program week's prompt
+const MAX_CARRIED_MILESTONES = 8;
+
+/**
+ * Generates a multi-week program with progressive difficulty. Weeks are generated
+ * in order so each one can build on the milestones of the weeks before it; every
+ * week goes through the full routine pipeline (validation, normalization, fallback).
+ *
+ * @param {object} params - Generation parameters
+ * @param {object} params.profile - Validated, sanitized user profile
+ * @param {object} params.preferences - Optional generation preferences
+ * @param {number} params.totalWeeks - Program length in weeks
+ * @param {string} params.startWeekOf - Monday of the first week (YYYY-MM-DD)
+ * @param {string} params.interviewDate - Optional interview date (YYYY-MM-DD)
+ * @param {string} params.traceId - Request trace ID
+ * @param {AbortSignal} params.signal - Optional cancellation signal
+ * @param {function} params.onProgress - Optional ({ completed, total }) callback, called with the
+ *   number of weeks generated so far
+ * @returns {Promise<object>} { program, meta }
+ * @throws {Error} Cancellation error if the signal fires
+ */
+export async function generateProgram({
+  profile,
+  preferences,
+  totalWeeks,
+  startWeekOf,
+  interviewDate,
+  traceId,
+  signal,
+  onProgress,
+}) {
+  const phases = planProgramPhases(totalWeeks);
+  const weeks = [];
+  const weekMetas = [];
+  let carriedMilestones = [];
+  onProgress?.({ completed: 0, total: totalWeeks });
+
+  for (let index = 0; index < totalWeeks; index++) {
+    throwIfCancelled(signal);
+
+    const programWeek = {
+      weekNumber: index + 1,
+      totalWeeks,
+      phase: phases[index],
+      weekOf: addWeeks(startWeekOf, index),
+      carriedMilestones,
+      interviewDate,
+    };
+
+    logger.info({ traceId, weekNumber: programWeek.weekNumber, phase: programWeek.phase }, 'Generating program week');
+    const { plan, meta } = await generateRoutine({
+      profile,
+      preferences,
+      traceId,
+      prompt: buildProgramWeekPrompt(profile, preferences, programWeek),
+      signal,
+    });
+
+    weeks.push({
+      weekNumber: programWeek.weekNumber,
+      weekOf: programWeek.weekOf,
+      phase: programWeek.phase,
+      carriedMilestones,
+      source: meta.source,
+      plan,
+    });
+    weekMetas.push({ label: `Week ${programWeek.weekNumber}`, meta });
+
+    carriedMilestones = [...carriedMilestones, ...plan.milestones].slice(-MAX_CARRIED_MILESTONES);
+    onProgress?.({ completed: index + 1, total: totalWeeks });
+  }
+
+  return {
+    program: {
+      startWeekOf,
+      totalWeeks,
+      interviewDate: interviewDate || null,
+      phases,
+      weeks,
+    },
+    meta: combineMeta(weekMetas),
+  };
+}
+
+/**
+ * Generates next week's plan adapted to the progress tracked on the current plan:
+ * chronically skipped areas get shorter, easier blocks, completed milestones advance
+ * and budget overruns scope tasks down. Adjustments the plan doesn't make are re-prompted,
+ * and only the ones it makes are reported.
+ *
+ * @param {object} params - Generation parameters
+ * @param {object} params.profile - Validated, sanitized user profile
+ * @param {object} params.preferences - Optional generation preferences
+ * @param {object} params.currentPlan - Validated plan the progress was tracked on
+ * @param {object} params.progress - Validated progress (progress.schema.json)
+ * @param {string} params.traceId - Request trace ID
+ * @param {AbortSignal} params.signal - Optional cancellation signal
+ * @returns {Promise<object>} { plan, adjustments, meta }
+ * @throws {Error} Cancellation error if the signal fires
+ */
+export async function generateAdaptedRoutine({ profile, preferences, currentPlan, progress, traceId, signal }) {
+  const analysis = analyzeProgress(currentPlan, progress, profile);
+  const weekOf = addWeeks(currentPlan.weekOf, 1);
+
+  logger.info(
+    { traceId, weekOf, completionRate: analysis.completionRate, skippedCategories: analysis.skippedCategories },
+    'Adapting next week to progress'
+  );
+
+  const { plan, meta } = await generateRoutine({
+    profile,
+    preferences,
+    traceId,
+    prompt: buildAdaptPrompt(profile, preferences, { weekOf, analysis }),
+    signal,
+    checkPlan: (candidate) => checkAdjustments(analysis, currentPlan, candidate).issues,
+  });
+
+  // Template fallbacks don't take progress into account, so don't claim they do
+  const adjustments = meta.source === ResultSource.LLM
+    ? checkAdjustments(analysis, currentPlan, plan).adjustments
+    : ['Progress could not be applied; this is a standard plan for next week'];
+
+  return { plan, adjustments, meta };
+}
+
+/**
+ * Generates an interview prep pack.
+ *
+ * @param {object} params - Generation parameters
+ * @param {object} params.profile - Validated, sanitized user profile
+ * @param {string} params.traceId - Request trace ID
+ * @param {AbortSignal} params.signal - Optional cancellation signal
+ * @param {function} params.onDelta - Optional (text, attempt) callback receiving the raw response
+ *   as it streams (see generateWithRepair)
+ * @returns {Promise<object>} { prep, meta }
+ * @throws {Error} Cancellation error if the signal fires
+ */
+export async function generatePrep({ profile, traceId, signal, onDelta }) {
+  const startTime = Date.now();
+  const { system, user, schema } = buildPrepPrompt(profile);
+
+  try {
+    const result = await runRepairLoop({
+      label: 'Generated prep pack',
+      request: {
+        model: config.openaiModel,
+        schema,
+        system: addSafetyGuidelines(system),
+        user,
+        context: { kind: 'prep', profile },
+      },
+      traceId,
+      signal,
+      onDelta,
+      evaluate: (responseText) => {
+        const riskAssessment = assessContentRisk(responseText);
+        const { value, issues } = parseAndValidate(responseText, validatePrep);
+        if (!value) {
+          return { valid: false, issues, riskAssessment };
+        }
+
+        const prep = filterLLMOutput(value, 'prep');
+        const qualityCheck = validateDataQuality(prep, 'prep');
+        return { valid: true, value: prep, issues: qualityCheck.issues, riskAssessment };
+      },
+    }, startTime);
+
+    if (result.issues.length > 0) {
+      logger.warn({ traceId, issues: result.issues }, 'Low quality data detected');
+    }
+
+    // Check if safe to return
+    if (!isSafeToReturn(result.value, result.riskAssessment)) {
+      logger.warn({ traceId, riskLevel: result.riskAssessment.level }, 'Unsafe content detected, using fallback');
+      return {
+        prep: createFallbackResponse('prep', profile),
+        meta: buildMeta(ResultSource.FALLBACK, result, 'Unsafe content detected'),
+      };
+    }
+
+    logger.info({ traceId, riskLevel: result.riskAssessment.level, attempts: result.attempts.length }, 'Prep pack generated successfully');
+    return { prep: result.value, meta: buildMeta(ResultSource.LLM, result) };
+  } catch (error) {
+    if (isCancellation(error)) throw error;
+
+    // Fallback on API or validation failure
+    logger.error({ traceId, error: error.message }, 'Prep generation failed, using fallback');
+    return {
+      prep: createFallbackResponse('prep', profile),
+      meta: buildMeta(ResultSource.FALLBACK, error.repair, error.message),
+    };
+  }
+}
+
+/**
+ * Runs a section reroll through the repair loop and safety checks. On failure the
+ * current section is returned unchanged.
+ *
+ * @param {object} params - Reroll parameters
+ * @param {string} params.section - Section name
+ * @param {object} params.prompt - Reroll prompt ({ system, user, schema })
+ * @param {object} params.context - Provider request context
+ * @param {*} params.currentValue - Current value of the section, returned on failure
+ * @param {function} params.evaluateSection - (sectionValue) => { valid, value, issues }
+ * @param {string} params.traceId - Request trace ID
+ * @param {AbortSignal} params.signal - Optional cancellation signal
+ * @returns {Promise<object>} { result: { [section]: value }, meta }
+ * @throws {Error} If generation fails and there is no current section, or is cancelled
+ */
+async function runSectionReroll({ section, prompt, context, currentValue, evaluateSection, traceId, signal }) {
+  const startTime = Date.now();
+  let result = null;
+
+  try {
+    result = await runRepairLoop({
+      label: `Rerolled ${section}`,
+      request: {
+        model: config.openaiModel,
+        schema: prompt.schema,
+        system: addSafetyGuidelines(prompt.system),
+        user: prompt.user,
+        context,
+      },
+      traceId,
+      signal,
+      evaluate: (responseText) => {
+        const riskAssessment = assessContentRisk(responseText);
+        let parsed;
+        try {
+          parsed = tryParseJson(responseText);
+        } catch (error) {
+          return { valid: false, issues: [error.message], riskAssessment };
+        }
+
+        // Response is an object with a single key matching the section
+        if (!parsed?.[section]) {
+          return { valid: false, issues: [`Response missing expected section: ${section}`], riskAssessment };
+        }
+
+        // Filter resource URLs (keyed by section) and unsafe strings in the section itself
+        const sectionValue = filterLLMOutput(filterLLMOutput(parsed, section)[section], section);
+        return { ...evaluateSection(sectionValue), riskAssessment };
+      },
+    }, startTime);
+
+    // Check if safe to return
+    if (!isSafeToReturn(result.value, result.riskAssessment)) {
+      logger.warn({ traceId, section, riskLevel: result.riskAssessment.level }, 'Unsafe content detected');
+      throw new Error('Unsafe content generated');
+    }
+
+    logger.info({ traceId, section, riskLevel: result.riskAssessment.level, attempts: result.attempts.length }, 'Section rerolled successfully');
+    return {
+      result: { [section]: result.value },
+      meta: buildMeta(ResultSource.LLM, result),
+    };
+  } catch (error) {
+    if (isCancellation(error)) throw error;
+
+    logger.error({ traceId, section, error: error.message }, 'Reroll error');
+    // Return the existing data for that section
+    if (currentValue) {
+      return {
+        result: { [section]: currentValue },
+        meta: buildMeta(ResultSource.UNCHANGED, error.repair || result, error.message),
+      };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Re-generates one section of an existing plan, optionally only one day of it.
+ * Pinned items are put back unchanged and only unpinned durations are normalized.
+ * On failure the current section is returned unchanged.
+ *
+ * @param {object} params - Reroll parameters
+ * @param {string} params.section - Section name (see getValidSections)
+ * @param {object} params.profile - Validated, sanitized user profile
+ * @param {object} params.currentPlan - Validated current plan
+ * @param {string} params.day - Only reroll this day (see DAY_SECTIONS); other days are unchanged
+ * @param {object} params.pinned - Pinned labels by day (see resolvePins)
+ * @param {string} params.feedback - Sanitized free-text feedback (see resolveSteering)
+ * @param {object} params.focus - Focus weights by category (see resolveSteering)
+ * @param {string} params.today - The user's local date (YYYY-MM-DD), if known
+ * @param {object} params.preferences - Optional generation preferences; rerolled time blocks
+ *   are normalized to their block length bounds and checked against them (focus shares only
+ *   when the whole week is rerolled)
+ * @param {string} params.traceId - Request trace ID
+ * @param {AbortSignal} params.signal - Optional cancellation signal
+ * @returns {Promise<object>} { result: { [section]: value }, meta }
+ * @throws {Error} If generation fails and the current plan has no such section, or is cancelled
+ */
+export async function rerollSection({
+  section,
+  profile,
+  currentPlan,
+  day = null,
+  pinned = {},
+  feedback = null,
+  focus = {},
+  today = null,
+  preferences = {},
+  traceId,
+  signal,
+}) {
+  return runSectionReroll({
+    section,
+    prompt: buildRerollPrompt(section, profile, currentPlan, { day, pinned, feedback, focus, today, preferences }),
+    context: { kind: 'reroll', profile, section, currentPlan, day },
+    currentValue: currentPlan?.[section],
+    traceId,
+    signal,
+    evaluateSection: (sectionValue) => {
+      if (day && !Array.isArray(sectionValue[day])) {
+        return { valid: false, issues: [`Response missing expected day: ${section}.${day}`] };
+      }
+
+      // Day-scoped rerolls only replace that day; pinned items are put back unchanged
+      let value = day ? { ...currentPlan[section], [day]: sectionValue[day] } : sectionValue;
+      if (DAY_SECTIONS.includes(section)) {
+        value = applyPins(value, currentPlan[section], pinned);
+      }
+
+      // Validate the section in the context of the full plan
+      let plan = { ...currentPlan, [section]: value };
+      if (!validatePlan(plan)) {
+        return { valid: false, issues: formatValidationErrors(validatePlan.errors) };
+      }
+
+      // Repair availability and coverage slips in the rerolled days only
+      if (DAY_SECTIONS.includes(section)) {
+        const repaired = enforcePlanPolicy(plan, profile, { days: day ? [day] : undefined, traceId }).plan;
+        plan = { ...plan, [section]: repaired[section] };
+      }
+
+      // Normalize durations if rerolling timeBlocks, leaving other days and pins alone
+      let normalization = null;
+      if (section === 'timeBlocks') {
+        ({ plan, report: normalization } = normalizePlanDurations(plan, profile, traceId, {
+          days: day ? [day] : null,
+          pinned,
+          ...resolveBlockBounds(preferences),
+        }));
+      }
+
+      const qualityCheck = section === 'timeBlocks'
+        ? validateDataQuality(plan, 'plan', profile, { days: day ? [day] : undefined, preferences })
+        : { issues: [] };
+      const directionIssues = checkRerollDirection({
+        section,
+        current: currentPlan[section],
+        next: plan[section],
+        focus,
+        day,
+        pinned,
+      });
+      return { valid: true, value: plan[section], issues: [...qualityCheck.issues, ...directionIssues], normalization };
+    },
+  });
+}
+
+/**
+ * Re-generates one section of an existing prep pack. On failure the current
+ * section is returned unchanged.
+ *
+ * @param {object} params - Reroll parameters
+ * @param {string} params.section - Prep section name (see getValidSections('prep'))
+ * @param {object} params.profile - Validated, sanitized user profile
+ * @param {object} params.currentPrep - Validated current prep pack
+ * @param {string} params.feedback - Sanitized free-text feedback (see resolveSteering)
+ * @param {object} params.focus - Focus weights by category (see resolveSteering)
+ * @param {string} params.traceId - Request trace ID
+ * @param {AbortSignal} params.signal - Optional cancellation signal
+ * @returns {Promise<object>} { result: { [section]: value }, meta }
+ * @throws {Error} If generation fails and the current prep pack has no such section, or is cancelled
+ */
+export async function rerollPrepSection({
+  section,
+  profile,
+  currentPrep,
+  feedback = null,
+  focus = {},
+  traceId,
+  signal,
+}) {
+  return runSectionReroll({
+    section,
+    prompt: buildPrepRerollPrompt(section, profile, currentPrep, { feedback, focus }),
+    context: { kind: 'rerollPrep', profile, section, currentPrep },
+    currentValue: currentPrep?.[section],
+    traceId,
+    signal,
+    evaluateSection: (sectionValue) => {
+      // Validate the section in the context of the full prep pack
+      const prep = { ...currentPrep, [section]: sectionValue };
+      if (!validatePrep(prep)) {
+        return { valid: false, issues: formatValidationErrors(validatePrep.errors) };
+      }
+
+      const qualityCheck = validateDataQuality(prep, 'prep');
+      const directionIssues = checkRerollDirection({ section, current: currentPrep[section], next: prep[section], focus });
+      return { valid: true, value: prep[section], issues: [...qualityCheck.issues, ...directionIssues] };
+    },
+  });
+}
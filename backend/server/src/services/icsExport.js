@@ -0,0 +1,153 @@
+/**
+ * icsExport.js
+ * Renders a weekly plan as an RFC 5545 iCalendar file.
+ *
+ * Every time block becomes one VEVENT. Blocks run back to back from the day's start
+ * time in the user's timezone and are written in UTC, so Google, Apple and Outlook
+ * calendars place them correctly without a VTIMEZONE definition.
+ */
+
+import { mondayOf, parseDate } from '../utils/week.js';
+import { zonedTimeToUtc } from '../utils/timezone.js';
+
+const DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const DEFAULT_START_TIME = '09:00';
+const PRODUCT_ID = '-//CareerRoutine//Weekly Plan Export//EN';
+const UID_DOMAIN = 'careerroutine.app';
+
+// RFC 5545 section 3.1: lines longer than 75 octets are folded
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escapes a TEXT value (RFC 5545 section 3.3.11).
+ */
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line at 75 octets without splitting UTF-8 characters.
+ */
+function foldLine(line) {
+  const chunks = [];
+  let current = '';
+  let currentOctets = 0;
+
+  for (const char of line) {
+    const octets = Buffer.byteLength(char, 'utf-8');
+    // Continuation lines start with a space, which counts toward the limit
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (currentOctets + octets > limit) {
+      chunks.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+}
+
+/**
+ * Formats an instant as a UTC DATE-TIME (e.g. 20251006T160000Z).
+ */
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Date (YYYY-MM-DD) of a weekday in the plan's week.
+ */
+function dateOfDay(weekStart, day) {
+  const date = parseDate(weekStart);
+  date.setUTCDate(date.getUTCDate() + DAYS.indexOf(day));
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Builds an iCalendar file for a plan.
+ *
+ * @param {object} plan - Plan matching plan.schema.json
+ * @param {object} options - Export options
+ * @param {string} options.timezone - IANA timezone of the start times
+ * @param {string} options.startTime - Default start time for every day (HH:MM)
+ * @param {object} options.startTimes - Per-day start times, e.g. { Sat: '10:00' }
+ * @param {number} options.reminderMinutes - Minutes before each block to alert (omit for no alarm)
+ * @param {string} options.calendarName - Calendar name shown by clients
+ * @param {Date} options.now - Timestamp for DTSTAMP (defaults to now)
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+export function buildIcs(plan, {
+  timezone,
+  startTime = DEFAULT_START_TIME,
+  startTimes = {},
+  reminderMinutes,
+  calendarName = `Interview prep: week of ${plan.weekOf}`,
+  now = new Date(),
+}) {
+  // Anchor days to the Monday of weekOf
+  const weekStart = mondayOf(parseDate(plan.weekOf));
+  const stamp = formatUtc(now);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(calendarName)}`,
+    `X-WR-TIMEZONE:${timezone}`,
+  ];
+
+  for (const day of DAYS) {
+    const blocks = plan.timeBlocks[day] || [];
+    if (blocks.length === 0) continue;
+
+    const date = dateOfDay(weekStart, day);
+    const tasks = plan.dailyTasks[day] || [];
+    const description = tasks.length > 0
+      ? `Tasks for ${day}:\n${tasks.map((task) => `- ${task}`).join('\n')}`
+      : '';
+
+    let start = zonedTimeToUtc(date, startTimes[day] || startTime, timezone);
+
+    blocks.forEach((block, index) => {
+      const end = new Date(start.getTime() + Math.round(block.durationHours * 60) * 60 * 1000);
+
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${plan.weekOf}-${day}-${index + 1}@${UID_DOMAIN}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${formatUtc(start)}`,
+        `DTEND:${formatUtc(end)}`,
+        `SUMMARY:${escapeText(block.label)}`,
+      );
+      if (description) {
+        lines.push(`DESCRIPTION:${escapeText(description)}`);
+      }
+      lines.push('CATEGORIES:Interview Prep', 'TRANSP:OPAQUE');
+
+      if (reminderMinutes !== undefined && reminderMinutes !== null) {
+        lines.push(
+          'BEGIN:VALARM',
+          'ACTION:DISPLAY',
+          `DESCRIPTION:${escapeText(block.label)}`,
+          `TRIGGER:-PT${reminderMinutes}M`,
+          'END:VALARM',
+        );
+      }
+
+      lines.push('END:VEVENT');
+      start = end;
+    });
+  }
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
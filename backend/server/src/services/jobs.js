@@ -0,0 +1,217 @@
+/**
+ * jobs.js
+ * Asynchronous generation jobs.
+ *
+ * A job runs one generation (see GENERATION_PREPARERS in routes/generate.js) in the
+ * background so clients can poll for the result instead of holding a request open.
+ * Job records live in a store that implements:
+ *   get(id) => Promise<object|null>
+ *   set(job) => Promise<void>
+ *   delete(id) => Promise<void>
+ * Stores may drop a job once its expiresAt has passed. The default store keeps jobs in
+ * memory; setJobStore swaps in another one (e.g. backed by Redis). Cancellation handles
+ * can't be stored, so they stay in this process.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config.js';
+import logger from '../utils/logger.js';
+import { isCancellation } from '../utils/cancellation.js';
+
+export const JobStatus = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+const FINISHED_STATUSES = [JobStatus.SUCCEEDED, JobStatus.FAILED, JobStatus.CANCELLED];
+
+// How often the memory store drops expired jobs
+const SWEEP_INTERVAL_MS = 60000;
+
+/**
+ * Creates a job store that keeps jobs in memory. Expired jobs are never returned and
+ * are swept out periodically.
+ *
+ * @param {object} options - Store options
+ * @param {number} options.sweepIntervalMs - How often expired jobs are dropped
+ * @returns {object} Job store ({ get, set, delete })
+ */
+export function createMemoryJobStore({ sweepIntervalMs = SWEEP_INTERVAL_MS } = {}) {
+  const jobs = new Map();
+  const isExpired = (job) => Date.parse(job.expiresAt) <= Date.now();
+
+  const sweep = setInterval(() => {
+    for (const [id, job] of jobs) {
+      if (isExpired(job)) jobs.delete(id);
+    }
+  }, sweepIntervalMs);
+  // Don't keep the process alive just to sweep
+  sweep.unref();
+
+  return {
+    async get(id) {
+      const job = jobs.get(id);
+      if (!job || isExpired(job)) {
+        jobs.delete(id);
+        return null;
+      }
+      return job;
+    },
+    async set(job) {
+      jobs.set(job.id, job);
+    },
+    async delete(id) {
+      jobs.delete(id);
+    },
+  };
+}
+
+let store = createMemoryJobStore();
+
+// Abort controllers of the jobs running in this process, by job ID
+const controllers = new Map();
+
+/**
+ * Replaces the job store.
+ *
+ * @param {object} jobStore - Store implementing get, set and delete
+ */
+export function setJobStore(jobStore) {
+  store = jobStore;
+}
+
+function expiresAt(from = Date.now()) {
+  return new Date(from + config.jobTtlMs).toISOString();
+}
+
+/**
+ * Applies changes (an object, or a function of the current job) to a stored job. Every
+ * update renews the TTL, so a finished job is kept for the TTL after it finished. Changes
+ * to a cancelled job are dropped, so a late result can't overwrite the cancellation.
+ */
+async function updateJob(id, changes) {
+  const job = await store.get(id);
+  if (!job || job.status === JobStatus.CANCELLED) {
+    return null;
+  }
+
+  const now = Date.now();
+  const updated = {
+    ...job,
+    ...(typeof changes === 'function' ? changes(job) : changes),
+    updatedAt: new Date(now).toISOString(),
+    expiresAt: expiresAt(now),
+  };
+  await store.set(updated);
+  return updated;
+}
+
+async function runJob(id, run, controller) {
+  const { signal } = controller;
+
+  try {
+    await updateJob(id, { status: JobStatus.RUNNING });
+    const { data, meta } = await run({
+      signal,
+      onProgress: (progress) => updateJob(id, { progress }).catch(() => {}),
+    });
+
+    const job = await updateJob(id, ({ progress }) => ({
+      status: JobStatus.SUCCEEDED,
+      progress: { completed: progress.total, total: progress.total },
+      result: data,
+      meta,
+    }));
+    if (job) {
+      logger.info({ traceId: job.traceId, jobId: id, source: meta?.source }, 'Job succeeded');
+    }
+  } catch (error) {
+    if (isCancellation(error)) {
+      logger.info({ jobId: id }, 'Job stopped after cancellation');
+      return;
+    }
+
+    logger.error({ jobId: id, error: error.message }, 'Job failed');
+    await updateJob(id, {
+      status: JobStatus.FAILED,
+      error: { message: error.message, statusCode: error.statusCode || 500 },
+    }).catch((storeError) => logger.error({ jobId: id, error: storeError.message }, 'Failed to record job failure'));
+  } finally {
+    controllers.delete(id);
+  }
+}
+
+/**
+ * Creates a job and starts running it in the background.
+ *
+ * @param {object} params - Job parameters
+ * @param {string} params.kind - Generation kind (routine, prep, reroll, program)
+ * @param {function} params.run - ({ signal, onProgress }) => Promise<{ data, meta }>
+ * @param {string} params.traceId - Trace ID of the request that created the job
+ * @returns {Promise<object>} The queued job
+ */
+export async function createJob({ kind, run, traceId }) {
+  const now = new Date().toISOString();
+  const job = {
+    id: uuidv4(),
+    kind,
+    status: JobStatus.QUEUED,
+    progress: { completed: 0, total: 1 },
+    traceId,
+    createdAt: now,
+    updatedAt: now,
+    expiresAt: expiresAt(),
+    result: null,
+    meta: null,
+    error: null,
+  };
+  await store.set(job);
+
+  const controller = new AbortController();
+  controllers.set(job.id, controller);
+  logger.info({ traceId, jobId: job.id, kind }, 'Job created');
+
+  // Start after the response is sent so the client gets the job ID right away
+  setImmediate(() => runJob(job.id, run, controller));
+
+  return job;
+}
+
+/**
+ * Looks up a job.
+ *
+ * @param {string} id - Job ID
+ * @returns {Promise<object|null>} The job, or null if it doesn't exist or has expired
+ */
+export async function getJob(id) {
+  return store.get(id);
+}
+
+/**
+ * Cancels a queued or running job and aborts its provider call.
+ *
+ * @param {string} id - Job ID
+ * @returns {Promise<object|null>} The cancelled job, or null if it doesn't exist or has expired
+ * @throws {Error} 409 if the job has already finished
+ */
+export async function cancelJob(id) {
+  const job = await store.get(id);
+  if (!job) {
+    return null;
+  }
+
+  if (FINISHED_STATUSES.includes(job.status)) {
+    const error = new Error(`Job has already finished with status: ${job.status}`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const cancelled = await updateJob(id, { status: JobStatus.CANCELLED });
+  controllers.get(id)?.abort();
+  logger.info({ traceId: job.traceId, jobId: id }, 'Job cancelled');
+
+  return cancelled;
+}
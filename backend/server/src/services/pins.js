@@ -0,0 +1,118 @@
+/**
+ * pins.js
+ * Pinned blocks and tasks for rerolls.
+ *
+ * Clients send `pinned: [{ day, label }]`, where label is a time block label or a
+ * daily task. Pins are checked against the current plan before generation and put
+ * back in their original positions after it, so they always come back unchanged.
+ */
+
+import { DAY_SECTIONS } from '../prompts/rerollPrompt.js';
+import { resolveDayBudgets } from '../utils/constraints.js';
+
+const DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Label of a section item: time blocks have a label, daily tasks are strings.
+ */
+function labelOf(item) {
+  return typeof item === 'string' ? item : item.label;
+}
+
+/**
+ * Validates pins against the current plan and groups them by day.
+ *
+ * @param {Array<{day: string, label: string}>} pinned - Requested pins
+ * @param {object} params - Reroll context
+ * @param {string} params.section - Section being rerolled
+ * @param {object} params.currentPlan - Validated current plan
+ * @param {object} params.profile - User profile (for the daily time budgets)
+ * @param {string} params.day - Day the reroll is scoped to, if any
+ * @returns {object} Pinned labels by day, e.g. { Wed: ['DS&A: Heaps'] }
+ * @throws {Error} 400 if the pins are malformed, missing from the plan or exceed the budget
+ */
+export function resolvePins(pinned, { section, currentPlan, profile, day = null }) {
+  if (pinned === undefined || (Array.isArray(pinned) && pinned.length === 0)) {
+    return {};
+  }
+
+  if (!Array.isArray(pinned)) {
+    throw badRequest('pinned must be an array of { day, label } objects');
+  }
+  if (!DAY_SECTIONS.includes(section)) {
+    throw badRequest(`Pins are only supported for: ${DAY_SECTIONS.join(', ')}`);
+  }
+
+  const pins = {};
+  for (const pin of pinned) {
+    if (!pin || !DAYS.includes(pin.day) || typeof pin.label !== 'string' || !pin.label) {
+      throw badRequest('Each pin must be an object with a valid day and a non-empty label');
+    }
+
+    // Other days come back unchanged from a day-scoped reroll anyway
+    if (day && pin.day !== day) continue;
+
+    const items = currentPlan[section][pin.day] || [];
+    if (!items.some((item) => labelOf(item) === pin.label)) {
+      throw badRequest(`Pinned item not found in current plan: ${pin.day} "${pin.label}"`);
+    }
+
+    pins[pin.day] ??= [];
+    if (!pins[pin.day].includes(pin.label)) {
+      pins[pin.day].push(pin.label);
+    }
+  }
+
+  if (section === 'timeBlocks') {
+    const dayBudgets = resolveDayBudgets(profile);
+    for (const [pinDay, labels] of Object.entries(pins)) {
+      const pinnedHours = currentPlan.timeBlocks[pinDay]
+        .filter((block) => labels.includes(block.label))
+        .reduce((sum, block) => sum + block.durationHours, 0);
+      if (pinnedHours > dayBudgets[pinDay]) {
+        throw badRequest(
+          `Pinned blocks on ${pinDay} total ${pinnedHours}h, more than the ${dayBudgets[pinDay]}h daily budget`
+        );
+      }
+    }
+  }
+
+  return pins;
+}
+
+/**
+ * Puts pinned items back into a regenerated section. Pinned items keep their original
+ * position; regenerated items fill the remaining slots in order, and any regenerated
+ * copies of a pinned item are dropped.
+ *
+ * @param {object} sectionValue - Regenerated section, keyed by day
+ * @param {object} currentSection - Current section, keyed by day
+ * @param {object} pins - Pinned labels by day (from resolvePins)
+ * @returns {object} Section with pins enforced
+ */
+export function applyPins(sectionValue, currentSection, pins) {
+  const result = { ...sectionValue };
+
+  for (const [day, labels] of Object.entries(pins)) {
+    const generated = (sectionValue[day] || []).filter((item) => !labels.includes(labelOf(item)));
+    const merged = [];
+
+    for (const item of currentSection[day]) {
+      if (labels.includes(labelOf(item))) {
+        merged.push(item);
+      } else if (generated.length > 0) {
+        merged.push(generated.shift());
+      }
+    }
+
+    result[day] = [...merged, ...generated];
+  }
+
+  return result;
+}
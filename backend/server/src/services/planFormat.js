@@ -0,0 +1,287 @@
+/**
+ * planFormat.js
+ * Plan format versions: negotiation, validation and migration.
+ *
+ * v1 (plan.schema.json) is the original format: blocks are { label, durationHours } and
+ * tasks are plain strings. v2 (plan.v2.schema.json) gives every block and task a stable
+ * ID, adds a category and difficulty to blocks and links tasks to the block they belong to.
+ *
+ * Generation works on v1 internally; plans are converted at the API edge. IDs are derived
+ * from the day and label, so the same block gets the same ID every time a plan is migrated,
+ * and IDs from the client's current v2 plan are reused, so they survive rerolls.
+ */
+
+import { createHash } from 'crypto';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { compile, assertValid } from '../utils/validate.js';
+import { PlanCategory, matchPlanCategory } from '../utils/categories.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load and compile schemas
+const planSchema = JSON.parse(readFileSync(join(__dirname, '../schemas/plan.schema.json'), 'utf-8'));
+const planV2Schema = JSON.parse(readFileSync(join(__dirname, '../schemas/plan.v2.schema.json'), 'utf-8'));
+
+const validatePlan = compile(planSchema);
+const validatePlanV2 = compile(planV2Schema);
+
+export const SUPPORTED_PLAN_VERSIONS = [1, 2];
+
+// Accept header media type for negotiating the plan format, e.g.
+// "Accept: application/vnd.careerroutine.plan+json; version=2"
+export const PLAN_MEDIA_TYPE = 'application/vnd.careerroutine.plan+json';
+
+const DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Reads the plan format version from the Accept header's plan media type.
+ */
+function versionFromAccept(accept) {
+  const mediaRange = String(accept || '')
+    .split(',')
+    .find((range) => range.trim().toLowerCase().startsWith(PLAN_MEDIA_TYPE));
+  return mediaRange?.match(/;\s*version\s*=\s*"?([^;"\s]+)"?/i)?.[1];
+}
+
+/**
+ * Reads the requested plan format version from the query string, the request body
+ * (`planVersion`) or the Accept header, in that order.
+ *
+ * @param {object} req - Express request
+ * @param {number} fallback - Version to use when none is requested (e.g. the version of the plan sent in)
+ * @returns {number} Plan format version
+ * @throws {Error} 400 if the requested version is not supported
+ */
+export function getPlanVersion(req, fallback = 1) {
+  const requested = req.query?.planVersion ?? req.body?.planVersion ?? versionFromAccept(req.get('Accept'));
+  if (requested === undefined || requested === null || requested === '') {
+    return fallback;
+  }
+
+  const version = parseInt(String(requested).replace(/^v/i, ''), 10);
+  if (!SUPPORTED_PLAN_VERSIONS.includes(version)) {
+    throw badRequest(`Unsupported plan version: ${requested}. Must be one of: ${SUPPORTED_PLAN_VERSIONS.join(', ')}`);
+  }
+
+  return version;
+}
+
+/**
+ * Returns the format version of a plan (v2 plans carry schemaVersion: 2).
+ */
+export function planVersionOf(plan) {
+  return plan?.schemaVersion === 2 ? 2 : 1;
+}
+
+/**
+ * Short ID derived from the day and text, e.g. "blk-mon-3f9a1c2e".
+ */
+function deriveId(prefix, day, text) {
+  const hash = createHash('sha1').update(`${day}|${text}`).digest('hex').slice(0, 8);
+  return `${prefix}-${day.toLowerCase()}-${hash}`;
+}
+
+function inferDifficulty(label) {
+  if (/\b(hard|advanced|mock)\b/i.test(label)) return 'hard';
+  if (/\b(easy|warm[- ]?up|basics?|intro|review)\b/i.test(label)) return 'easy';
+  return 'medium';
+}
+
+/**
+ * Finds the block a task belongs to: the first block of the same category, otherwise
+ * the first block whose topic (the label after any "DS&A:"-style prefix) the task mentions.
+ */
+function findBlockFor(task, blocks) {
+  const category = matchPlanCategory(task);
+  const text = task.toLowerCase();
+  return blocks.find((block) => category && block.category === category)
+    || blocks.find((block) => {
+      const topic = block.label.split(':').pop().trim().toLowerCase();
+      return topic.length > 0 && text.includes(topic);
+    });
+}
+
+/**
+ * Looks up items of a day by text; repeated texts are told apart by occurrence.
+ */
+function indexByText(items, textOf) {
+  const index = new Map();
+  const seen = new Map();
+  for (const item of items || []) {
+    const text = textOf(item);
+    const occurrence = (seen.get(text) || 0) + 1;
+    seen.set(text, occurrence);
+    index.set(`${text}#${occurrence}`, item);
+  }
+  return index;
+}
+
+/**
+ * Gives each item an ID: the previous item's ID when the same text appears there,
+ * otherwise one derived from the day and text. IDs are unique within the plan.
+ */
+function assignIds(items, { prefix, day, textOf, previous, usedIds }) {
+  const previousByText = indexByText(previous, textOf);
+  const seen = new Map();
+
+  return items.map((item) => {
+    const text = textOf(item);
+    const occurrence = (seen.get(text) || 0) + 1;
+    seen.set(text, occurrence);
+
+    const match = previousByText.get(`${text}#${occurrence}`);
+    let id = match && !usedIds.has(match.id) ? match.id : deriveId(prefix, day, text);
+    for (let n = 2; usedIds.has(id); n++) {
+      id = `${deriveId(prefix, day, text)}-${n}`;
+    }
+    usedIds.add(id);
+
+    return { item, id, match };
+  });
+}
+
+/**
+ * Upgrades a v1 plan to v2. Blocks get an ID, category and difficulty; tasks get an ID and
+ * are linked to a block of the same day (see findBlockFor). When the client's
+ * current v2 plan is passed as `previous`, blocks and tasks it already has keep their ID,
+ * category, difficulty and link. v2 plans are returned unchanged.
+ *
+ * @param {object} plan - Plan (v1 or v2)
+ * @param {object} previous - Optional v2 plan whose IDs should be kept (e.g. the plan a reroll started from)
+ * @returns {object} Plan matching plan.v2.schema.json
+ */
+export function migratePlan(plan, previous = null) {
+  if (planVersionOf(plan) === 2) {
+    return plan;
+  }
+
+  const prior = planVersionOf(previous) === 2 ? previous : null;
+  const usedIds = new Set();
+  const timeBlocks = {};
+  const dailyTasks = {};
+
+  for (const day of DAYS) {
+    timeBlocks[day] = assignIds(plan.timeBlocks[day] || [], {
+      prefix: 'blk',
+      day,
+      textOf: (block) => block.label,
+      previous: prior?.timeBlocks[day],
+      usedIds,
+    }).map(({ item, id, match }) => ({
+      id,
+      label: item.label,
+      durationHours: item.durationHours,
+      category: match?.category || matchPlanCategory(item.label) || PlanCategory.ROLE,
+      difficulty: match?.difficulty || inferDifficulty(item.label),
+    }));
+  }
+
+  for (const day of DAYS) {
+    const blockIds = new Set(timeBlocks[day].map((block) => block.id));
+    dailyTasks[day] = assignIds(plan.dailyTasks[day] || [], {
+      prefix: 'tsk',
+      day,
+      textOf: (task) => (typeof task === 'string' ? task : task.text),
+      previous: prior?.dailyTasks[day],
+      usedIds,
+    }).map(({ item, id, match }) => {
+      const linked = match && blockIds.has(match.blockId)
+        ? match.blockId
+        : findBlockFor(item, timeBlocks[day])?.id;
+      return { id, text: item, blockId: linked || null };
+    });
+  }
+
+  return {
+    schemaVersion: 2,
+    weekOf: plan.weekOf,
+    timeBlocks,
+    dailyTasks,
+    milestones: plan.milestones,
+    resources: plan.resources,
+    version: plan.version,
+  };
+}
+
+/**
+ * Converts a v2 plan back to v1 (IDs, categories, difficulty and links are dropped).
+ * v1 plans are returned unchanged.
+ *
+ * @param {object} plan - Plan (v1 or v2)
+ * @returns {object} Plan matching plan.schema.json
+ */
+export function downgradePlan(plan) {
+  if (planVersionOf(plan) === 1) {
+    return plan;
+  }
+
+  const mapDays = (section, mapItem) => Object.fromEntries(
+    DAYS.map((day) => [day, (section[day] || []).map(mapItem)])
+  );
+
+  return {
+    weekOf: plan.weekOf,
+    timeBlocks: mapDays(plan.timeBlocks, ({ label, durationHours }) => ({ label, durationHours })),
+    dailyTasks: mapDays(plan.dailyTasks, ({ text }) => text),
+    milestones: plan.milestones,
+    resources: plan.resources,
+    version: plan.version,
+  };
+}
+
+/**
+ * Validates a plan sent by a client in either format and returns it as v1 for generation.
+ * v2 plans must have unique IDs, and task links must point to a block on the same day.
+ *
+ * @param {object} plan - Plan from the request body
+ * @param {string} label - Label for error messages (e.g. 'Current plan')
+ * @returns {object} Plan matching plan.schema.json
+ * @throws {Error} 400 if the plan is invalid
+ */
+export function readPlan(plan, label = 'Plan') {
+  if (planVersionOf(plan) === 1) {
+    assertValid(plan, validatePlan, label);
+    return plan;
+  }
+
+  assertValid(plan, validatePlanV2, label);
+
+  const ids = new Set();
+  for (const day of DAYS) {
+    const blockIds = new Set(plan.timeBlocks[day].map((block) => block.id));
+    for (const { id } of [...plan.timeBlocks[day], ...plan.dailyTasks[day]]) {
+      if (ids.has(id)) {
+        throw badRequest(`${label} has a duplicate ID: ${id}`);
+      }
+      ids.add(id);
+    }
+    for (const task of plan.dailyTasks[day]) {
+      if (task.blockId !== null && !blockIds.has(task.blockId)) {
+        throw badRequest(`${label} task ${task.id} links to block ${task.blockId}, which is not on ${day}`);
+      }
+    }
+  }
+
+  return downgradePlan(plan);
+}
+
+/**
+ * Returns a v1 plan in the requested format.
+ *
+ * @param {object} plan - Plan matching plan.schema.json
+ * @param {number} version - Plan format version (see getPlanVersion)
+ * @param {object} previous - Optional v2 plan whose IDs should be kept
+ * @returns {object} Plan in the requested format
+ */
+export function formatPlan(plan, version, previous = null) {
+  return version === 2 ? migratePlan(plan, previous) : plan;
+}
@@ -0,0 +1,143 @@
+/**
+ * planPolicy.js
+ * Post-generation policy pass for weekly plans.
+ *
+ * The routine prompt asks for empty unavailable days, blocks on every available day and
+ * daily applications/networking time, but models slip. enforcePlanPolicy repairs what
+ * can be repaired without the model: it clears unavailable days, fills empty available
+ * days from the template and adds a missing applications block. checkPlanPolicy reports
+ * what is still wrong (e.g. a week without DS&A) as quality issues, so the repair loop
+ * can re-prompt.
+ */
+
+import logger from '../utils/logger.js';
+import { resolveAvailableDays, resolveDayBudgets } from '../utils/constraints.js';
+import { BlockCategory, CATEGORY_NAMES, categorizeLabel } from '../utils/categories.js';
+import { REQUIRED_MINIMUM_HOURS } from '../utils/normalizeDurations.js';
+import { buildTemplatePlan } from './templateEngine.js';
+
+const DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const APPLICATIONS_LABEL = 'Applications & Networking';
+
+// Categories every week must include at least once
+const WEEKLY_CATEGORIES = [BlockCategory.DSA, BlockCategory.ROLE];
+
+function hasCategory(blocks, category) {
+  return blocks.some((block) => categorizeLabel(block.label) === category);
+}
+
+/**
+ * Hours of applications/networking a day needs: the required minimum, or the whole
+ * budget on days shorter than that.
+ */
+function requiredApplicationsHours(dayBudget) {
+  return Math.min(REQUIRED_MINIMUM_HOURS[BlockCategory.APPLICATIONS], dayBudget);
+}
+
+/**
+ * Repairs a plan so it follows the availability and coverage rules.
+ *
+ * @param {object} plan - Plan matching plan.schema.json
+ * @param {object} profile - User profile
+ * @param {object} options - Optional scope
+ * @param {string[]} options.days - Only repair these days (e.g. a day-scoped reroll); others are kept as-is
+ * @param {string} options.traceId - Trace ID for logging
+ * @returns {object} { plan, repairs } Repaired plan and a description of each repair
+ */
+export function enforcePlanPolicy(plan, profile, { days = DAYS, traceId = null } = {}) {
+  const available = resolveAvailableDays(profile);
+  const timeBlocks = { ...plan.timeBlocks };
+  const dailyTasks = { ...plan.dailyTasks };
+  const repairs = [];
+  let template = null;
+
+  for (const day of days) {
+    const blocks = timeBlocks[day] || [];
+    const tasks = dailyTasks[day] || [];
+
+    if (!available.includes(day)) {
+      if (blocks.length > 0 || tasks.length > 0) {
+        timeBlocks[day] = [];
+        dailyTasks[day] = [];
+        repairs.push(`${day}: cleared ${blocks.length} block(s) and ${tasks.length} task(s) on an unavailable day`);
+      }
+      continue;
+    }
+
+    if (blocks.length === 0) {
+      template = template || buildTemplatePlan(profile, { weekOf: plan.weekOf });
+      timeBlocks[day] = template.timeBlocks[day];
+      dailyTasks[day] = tasks.length > 0 ? tasks : template.dailyTasks[day];
+      repairs.push(`${day}: filled an empty available day with standard blocks`);
+      continue;
+    }
+
+    if (!hasCategory(blocks, BlockCategory.APPLICATIONS)) {
+      // Durations are fitted to the day's budget by normalization afterwards
+      timeBlocks[day] = [...blocks, {
+        label: APPLICATIONS_LABEL,
+        durationHours: REQUIRED_MINIMUM_HOURS[BlockCategory.APPLICATIONS],
+      }];
+      repairs.push(`${day}: added a missing ${APPLICATIONS_LABEL} block`);
+    }
+  }
+
+  if (repairs.length > 0) {
+    logger.warn({ traceId, repairs }, 'Plan repaired by policy pass');
+  }
+
+  return { plan: { ...plan, timeBlocks, dailyTasks }, repairs };
+}
+
+/**
+ * Checks a plan against the availability and coverage rules.
+ *
+ * @param {object} plan - Plan matching plan.schema.json
+ * @param {object} profile - User profile
+ * @param {object} options - Optional scope
+ * @param {string[]} options.days - Only check these days; the weekly coverage check is skipped
+ *   unless the whole week is in scope
+ * @returns {string[]} Issues (empty if the plan follows the policy)
+ */
+export function checkPlanPolicy(plan, profile, { days = DAYS } = {}) {
+  const available = resolveAvailableDays(profile);
+  const dayBudgets = resolveDayBudgets(profile);
+  const issues = [];
+
+  for (const day of days) {
+    const blocks = plan.timeBlocks?.[day] || [];
+    const tasks = plan.dailyTasks?.[day] || [];
+
+    if (!available.includes(day)) {
+      if (blocks.length > 0 || tasks.length > 0) {
+        issues.push(`${day}: not an available day, but has time blocks or tasks`);
+      }
+      continue;
+    }
+
+    if (blocks.length === 0) {
+      issues.push(`${day}: available day has no time blocks`);
+      continue;
+    }
+
+    const applicationsHours = blocks
+      .filter((block) => categorizeLabel(block.label) === BlockCategory.APPLICATIONS)
+      .reduce((sum, block) => sum + block.durationHours, 0);
+    const requiredHours = requiredApplicationsHours(dayBudgets[day]);
+    if (applicationsHours < requiredHours) {
+      issues.push(`${day}: needs at least ${requiredHours}h of applications and networking, has ${applicationsHours}h`);
+    }
+  }
+
+  if (DAYS.every((day) => days.includes(day))) {
+    const weekBlocks = available.flatMap((day) => plan.timeBlocks?.[day] || []);
+    for (const category of WEEKLY_CATEGORIES) {
+      if (weekBlocks.length > 0 && !hasCategory(weekBlocks, category)) {
+        issues.push(`Week has no ${CATEGORY_NAMES[category]} blocks`);
+      }
+    }
+  }
+
+  return issues;
+}
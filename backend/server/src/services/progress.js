@@ -0,0 +1,254 @@
+/**
+ * progress.js
+ * Summarizes a week of task progress into the signals used to adapt the next week's plan,
+ * and checks that the adapted plan actually makes the adjustments it claims.
+ */
+
+import { CATEGORY_NAMES, categorizeLabel } from '../utils/categories.js';
+import { resolveDayBudgets } from '../utils/constraints.js';
+
+// A category counts as chronically skipped when at least this many of its tasks
+// were skipped and they make up at least this share of its finished tasks
+const MIN_SKIPPED_TASKS = 2;
+const SKIPPED_SHARE = 0.5;
+
+// A day counts as over budget when the logged time exceeds the budget by this factor
+const OVERRUN_FACTOR = 1.1;
+// Overrun days needed before the next week is scoped down
+const MIN_OVERRUN_DAYS = 2;
+// A scoped-down day has fewer tasks than before, but needn't go below this
+const MIN_SCOPED_TASKS = 2;
+
+// Longest block for a chronically skipped category (matches adaptPrompt.js)
+const SKIPPED_MAX_BLOCK_HOURS = 0.75;
+
+// Share of an unfinished milestone's words a new milestone must repeat to carry it over
+const CARRY_OVER_OVERLAP = 0.5;
+
+const DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+const DIFFICULTY_PATTERN = /\b(easy|medium|hard)\b/gi;
+
+function normalizeText(text) {
+  return String(text).trim().toLowerCase();
+}
+
+function roundHours(hours) {
+  return parseFloat(hours.toFixed(2));
+}
+
+/**
+ * Analyzes last week's progress against the plan it was tracked on.
+ *
+ * @param {object} currentPlan - Plan the progress was tracked against
+ * @param {object} progress - Progress matching progress.schema.json
+ * @param {object} profile - User profile (for the daily time budgets)
+ * @returns {object} { completionRate, categories, skippedCategories, completedMilestones,
+ *   openMilestones, overrunDays, scopeDown, raiseDifficulty, streak, adjustments }; adjustments
+ *   are the planned changes, see checkAdjustments for which ones a generated plan makes
+ */
+export function analyzeProgress(currentPlan, progress, profile) {
+  const tasks = progress.tasks || [];
+
+  // Completion per category
+  const categories = {};
+  for (const task of tasks) {
+    const category = categorizeLabel(task.label);
+    categories[category] ??= { done: 0, skipped: 0, pending: 0 };
+    categories[category][task.status.toLowerCase()]++;
+  }
+
+  const done = tasks.filter((task) => task.status === 'Done').length;
+  const finished = tasks.filter((task) => task.status !== 'Pending').length;
+  const completionRate = finished > 0 ? roundHours(done / finished) : null;
+
+  const skippedCategories = Object.entries(categories)
+    .filter(([, stats]) => stats.skipped >= MIN_SKIPPED_TASKS
+      && stats.skipped / (stats.done + stats.skipped) >= SKIPPED_SHARE)
+    .map(([category]) => category);
+
+  // Milestones: explicit completions, matched case-insensitively against the plan
+  const completedSet = new Set((progress.completedMilestones || []).map(normalizeText));
+  const completedMilestones = currentPlan.milestones.filter((m) => completedSet.has(normalizeText(m)));
+  const openMilestones = currentPlan.milestones.filter((m) => !completedSet.has(normalizeText(m)));
+
+  // Logged time per day against the daily budget
+  const loggedHours = {};
+  for (const task of tasks) {
+    if (typeof task.actualHours === 'number') {
+      loggedHours[task.day] = (loggedHours[task.day] || 0) + task.actualHours;
+    }
+  }
+  const dayBudgets = resolveDayBudgets(profile);
+  const overrunDays = Object.entries(loggedHours)
+    .filter(([day, hours]) => hours > dayBudgets[day] * OVERRUN_FACTOR)
+    .map(([day, hours]) => ({ day, loggedHours: roundHours(hours), budgetHours: dayBudgets[day] }));
+
+  const analysis = {
+    completionRate,
+    categories,
+    skippedCategories,
+    completedMilestones,
+    openMilestones,
+    overrunDays,
+    scopeDown: overrunDays.length >= MIN_OVERRUN_DAYS,
+    raiseDifficulty: completionRate !== null && completionRate >= 0.9 && skippedCategories.length === 0,
+    streak: progress.streak || null,
+  };
+
+  return { ...analysis, adjustments: planAdjustments(analysis, currentPlan).map((adjustment) => adjustment.description) };
+}
+
+/**
+ * Adjustments the next week should make, each with a short user-facing description and a
+ * check of the new plan that returns what's missing (empty when the adjustment holds).
+ */
+function planAdjustments(analysis, currentPlan) {
+  const { skippedCategories, completedMilestones, openMilestones, overrunDays, scopeDown, raiseDifficulty } = analysis;
+  const adjustments = [];
+
+  for (const category of skippedCategories) {
+    adjustments.push({
+      description: `Shorter, easier ${CATEGORY_NAMES[category]} blocks because most of them were skipped last week`,
+      check: (plan) => checkShorterBlocks(category, currentPlan, plan),
+    });
+  }
+
+  if (scopeDown) {
+    adjustments.push({
+      description: `Tasks scoped down to fit the daily budget after running over on ${overrunDays.map((d) => d.day).join(', ')}`,
+      check: (plan) => checkScopedDown(overrunDays, currentPlan, plan),
+    });
+  }
+
+  if (completedMilestones.length > 0) {
+    adjustments.push({
+      description: `Advanced ${completedMilestones.length} completed milestone(s) to the next level`,
+      check: (plan) => {
+        const next = new Set(plan.milestones.map(normalizeText));
+        return completedMilestones
+          .filter((milestone) => next.has(normalizeText(milestone)))
+          .map((milestone) => `Milestone "${milestone}" was completed last week; replace it with the next, harder step`);
+      },
+    });
+  }
+
+  if (openMilestones.length > 0) {
+    adjustments.push({
+      description: `Carried over ${openMilestones.length} unfinished milestone(s)`,
+      check: (plan) => openMilestones
+        .filter((milestone) => !plan.milestones.some((next) => isCarriedOver(milestone, next)))
+        .map((milestone) => `Unfinished milestone "${milestone}" was not carried over`),
+    });
+  }
+
+  if (raiseDifficulty) {
+    adjustments.push({
+      description: 'Raised difficulty slightly after completing nearly every task',
+      check: (plan) => checkHarder(currentPlan, plan),
+    });
+  }
+
+  return adjustments;
+}
+
+function blocksOf(plan, category) {
+  return DAYS.flatMap((day) => (plan.timeBlocks[day] || [])
+    .filter((block) => categorizeLabel(block.label) === category)
+    .map((block) => ({ day, ...block })));
+}
+
+function averageHours(blocks) {
+  return roundHours(blocks.reduce((sum, block) => sum + block.durationHours, 0) / blocks.length);
+}
+
+function checkShorterBlocks(category, currentPlan, plan) {
+  const name = CATEGORY_NAMES[category];
+  const blocks = blocksOf(plan, category);
+  if (blocks.length === 0) {
+    return [`Week has no ${name} blocks; keep them, but shorter (at most ${SKIPPED_MAX_BLOCK_HOURS}h)`];
+  }
+
+  const issues = blocks
+    .filter((block) => block.durationHours > SKIPPED_MAX_BLOCK_HOURS)
+    .map((block) => `${block.day}: "${block.label}" is ${block.durationHours}h; ${name} was mostly skipped, keep its blocks at ${SKIPPED_MAX_BLOCK_HOURS}h or less`);
+
+  const previous = blocksOf(currentPlan, category);
+  if (previous.length > 0 && averageHours(blocks) >= averageHours(previous)) {
+    issues.push(`${name} blocks average ${averageHours(blocks)}h, no shorter than last week's ${averageHours(previous)}h`);
+  }
+  return issues;
+}
+
+function checkScopedDown(overrunDays, currentPlan, plan) {
+  return overrunDays
+    .map(({ day }) => ({
+      day,
+      before: (currentPlan.dailyTasks[day] || []).length,
+      after: (plan.dailyTasks[day] || []).length,
+    }))
+    .filter(({ before, after }) => after > Math.max(MIN_SCOPED_TASKS, before - 1))
+    .map(({ day, before, after }) => `${day}: ${after} daily tasks after ${before} ran over budget last week; plan fewer, smaller tasks`);
+}
+
+function significantWords(text) {
+  return new Set((normalizeText(text).match(/[a-z0-9+#]+/g) || []).filter((word) => word.length > 3));
+}
+
+/**
+ * Whether a new milestone continues an unfinished one (shares most of its words).
+ */
+function isCarriedOver(milestone, next) {
+  const words = significantWords(milestone);
+  const nextWords = significantWords(next);
+  const shared = [...words].filter((word) => nextWords.has(word)).length;
+  return words.size > 0 && shared / words.size >= CARRY_OVER_OVERLAP;
+}
+
+/**
+ * Highest difficulty (index into DIFFICULTY_LEVELS) mentioned in a plan, or -1.
+ */
+function highestDifficulty(plan) {
+  const texts = [
+    ...DAYS.flatMap((day) => [...(plan.timeBlocks[day] || []).map((block) => block.label), ...(plan.dailyTasks[day] || [])]),
+    ...plan.milestones,
+  ];
+  const levels = texts.flatMap((text) => text.match(DIFFICULTY_PATTERN) || [])
+    .map((word) => DIFFICULTY_LEVELS.indexOf(word.toLowerCase()));
+  return Math.max(-1, ...levels);
+}
+
+function checkHarder(currentPlan, plan) {
+  const before = highestDifficulty(currentPlan);
+  const after = highestDifficulty(plan);
+  const hardest = DIFFICULTY_LEVELS.length - 1;
+  if (after > before || (before === hardest && after === hardest)) {
+    return [];
+  }
+
+  const target = DIFFICULTY_LEVELS[Math.min(hardest, Math.max(1, before + 1))];
+  return [`No task asks for harder problems than last week (${before >= 0 ? DIFFICULTY_LEVELS[before] : 'none named'}); raise the difficulty slightly, e.g. ${target} problems`];
+}
+
+/**
+ * Checks the adjustments planned from the progress analysis against the generated plan.
+ *
+ * @param {object} analysis - Result of analyzeProgress
+ * @param {object} currentPlan - Plan the progress was tracked against
+ * @param {object} plan - Generated plan for the next week
+ * @returns {object} { adjustments, issues } Descriptions of the adjustments that hold, and
+ *   what's missing for the others (for the repair loop)
+ */
+export function checkAdjustments(analysis, currentPlan, plan) {
+  const adjustments = [];
+  const issues = [];
+  for (const { description, check } of planAdjustments(analysis, currentPlan)) {
+    const missing = check(plan);
+    if (missing.length === 0) {
+      adjustments.push(description);
+    } else {
+      issues.push(...missing);
+    }
+  }
+  return { adjustments, issues };
+}
@@ -0,0 +1,154 @@
+/**
+ * repair.js
+ * Bounded self-correcting generation loop.
+ *
+ * Calls the LLM, evaluates the response (parse, schema, quality) and, while problems
+ * remain, re-prompts the model with the exact errors. The best candidate across all
+ * attempts is kept: schema-valid beats invalid, then fewer issues wins.
+ */
+
+import config from '../config.js';
+import logger from '../utils/logger.js';
+import { respondWithSchema } from '../providers/index.js';
+import { buildRepairPrompt } from '../prompts/repairPrompt.js';
+import { isCancellation } from '../utils/cancellation.js';
+
+/**
+ * Repair loop outcomes recorded in the eval log
+ */
+export const RepairOutcome = {
+  FIRST_TRY: 'first_try',     // First response had no problems
+  REPAIRED: 'repaired',       // A later attempt fixed every problem
+  BEST_EFFORT: 'best_effort', // Schema-valid, but quality issues remain
+  FAILED: 'failed',           // No schema-valid response in any attempt
+  CANCELLED: 'cancelled',     // The caller went away; any responses were discarded
+};
+
+/**
+ * Returns true if candidate should replace best.
+ */
+function isBetter(candidate, best) {
+  if (!best) return true;
+  if (candidate.valid !== best.valid) return candidate.valid;
+  return candidate.issues.length < best.issues.length;
+}
+
+/**
+ * Generates content, re-prompting the model with its problems until the response
+ * is clean or the attempt budget runs out.
+ *
+ * @param {object} params - Loop parameters
+ * @param {string} params.label - Label for logs and errors (e.g. 'Generated plan')
+ * @param {object} params.request - respondWithSchema params ({ model, schema, system, user, context })
+ * @param {function} params.evaluate - (responseText) => { valid, value, issues, riskAssessment }
+ * @param {string} params.traceId - Request trace ID
+ * @param {number} params.maxRepairs - Extra attempts after the first one
+ * @param {AbortSignal} params.signal - Optional cancellation signal, passed to the provider
+ * @param {function} params.onDelta - Optional (text, attempt, call) callback receiving each attempt's
+ *   response as it streams; `call` counts upstream calls within the attempt, since a retried
+ *   call streams again from the start
+ * @returns {Promise<object>} Best candidate plus { responseText, prompt, model, attempts, outcome };
+ *   each attempt lists its upstream `calls` (see respondWithSchema)
+ * @throws {Error} Provider errors on the first attempt, a cancellation error on any attempt, or
+ *   502 if no attempt produced a schema-valid response, all with `repair` info (except
+ *   open-circuit errors, which made no call)
+ */
+export async function generateWithRepair({
+  label,
+  request,
+  evaluate,
+  traceId,
+  maxRepairs = config.llmMaxRepairAttempts,
+  signal,
+  onDelta,
+}) {
+  const attempts = [];
+  let best = null;
+  let previous = null;
+
+  for (let attempt = 1; attempt <= maxRepairs + 1; attempt++) {
+    const user = previous
+      ? buildRepairPrompt(request.user, previous.responseText, previous.issues)
+      : request.user;
+
+    // Upstream calls made for this attempt, including retries and fallback models
+    const calls = [];
+    let responseText;
+    try {
+      responseText = await respondWithSchema({
+        ...request,
+        user,
+        traceId,
+        signal,
+        onDelta: onDelta && ((text) => onDelta(text, attempt, calls.length + 1)),
+        onCall: (call) => calls.push(call),
+      });
+    } catch (error) {
+      // A cancelled loop has nobody to return its responses to; they are logged as discarded
+      if (isCancellation(error)) {
+        logger.info({ traceId, attempt }, `${label} cancelled`);
+        error.repair = { prompt: user, ...best, attempts, outcome: RepairOutcome.CANCELLED };
+        throw error;
+      }
+
+      // Provider errors are not repairable; keep what we have if anything
+      attempts.push({ attempt, valid: false, issues: [error.message], calls });
+      if (!best) {
+        // Calls turned away by an open circuit never reached the model; there is nothing to log
+        if (!error.circuitOpen) {
+          error.repair = { prompt: user, valid: false, issues: [error.message], attempts, outcome: RepairOutcome.FAILED };
+        }
+        throw error;
+      }
+      logger.warn({ traceId, attempt, error: error.message }, 'Repair attempt failed, keeping best candidate');
+      break;
+    }
+
+    // Model that produced the response (a fallback model if the requested one kept failing)
+    const model = calls.findLast((call) => call.ok)?.model || request.model;
+
+    const evaluation = evaluate(responseText);
+    attempts.push({
+      attempt,
+      valid: evaluation.valid,
+      issues: evaluation.issues,
+      model,
+      calls,
+    });
+
+    if (isBetter(evaluation, best)) {
+      best = { ...evaluation, responseText, prompt: user, model };
+    }
+
+    if (evaluation.valid && evaluation.issues.length === 0) {
+      break;
+    }
+
+    logger.warn(
+      { traceId, attempt, valid: evaluation.valid, issues: evaluation.issues },
+      `${label} rejected, ${attempt <= maxRepairs ? 're-prompting with issues' : 'no attempts left'}`
+    );
+    previous = { responseText, issues: evaluation.issues };
+  }
+
+  let outcome;
+  if (!best.valid) {
+    outcome = RepairOutcome.FAILED;
+  } else if (best.issues.length > 0) {
+    outcome = RepairOutcome.BEST_EFFORT;
+  } else {
+    outcome = attempts.length === 1 ? RepairOutcome.FIRST_TRY : RepairOutcome.REPAIRED;
+  }
+
+  logger.info({ traceId, attempts: attempts.length, outcome }, `${label} repair loop finished`);
+
+  if (outcome === RepairOutcome.FAILED) {
+    const error = new Error(`${label} failed validation after ${attempts.length} attempt(s)`);
+    error.statusCode = 502;
+    error.details = best.issues;
+    error.repair = { ...best, attempts, outcome };
+    throw error;
+  }
+
+  return { ...best, attempts, outcome };
+}
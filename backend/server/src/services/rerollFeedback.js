@@ -0,0 +1,184 @@
+/**
+ * rerollFeedback.js
+ * User steering for rerolls: free-text feedback and focus weights.
+ *
+ * Feedback such as "less DP, more system design" is folded into the reroll prompt
+ * and, where it names a category, into focus weights. After generation the rerolled
+ * section is checked to actually differ from the current one and to move each
+ * weighted category in the requested direction; problems are reported as quality
+ * issues so the repair loop can re-prompt.
+ */
+
+import { BlockCategory, CATEGORY_NAMES, matchCategory, categorizeLabel } from '../utils/categories.js';
+import { sanitizeInput } from './safety.js';
+
+export const MAX_FEEDBACK_LENGTH = 300;
+
+// Sections whose items can be sorted into categories for the direction check
+const CATEGORIZED_SECTIONS = ['timeBlocks', 'dailyTasks', 'milestones', 'prepOutline', 'weeklyDrillPlan', 'starterQuestions'];
+
+// Minimum change in a category's share that counts as following the request
+const SHARE_TOLERANCE = 0.01;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Turns "more X" / "less X" phrases in feedback into focus weights (+1 / -1).
+ * Phrases that don't name a category are left to the prompt.
+ *
+ * @param {string} feedback - Sanitized feedback
+ * @returns {object} Focus weights by category
+ */
+export function parseFeedbackFocus(feedback) {
+  const focus = {};
+  const phrases = String(feedback || '').split(/,|;|\band\b|\bbut\b|\./i);
+
+  for (const phrase of phrases) {
+    const direction = phrase.match(/\b(more|extra|increase|add)\b|\b(less|fewer|reduce|drop|skip)\b/i);
+    if (!direction) continue;
+
+    const category = matchCategory(phrase.slice(direction.index + direction[0].length));
+    if (category) {
+      focus[category] = direction[1] ? 1 : -1;
+    }
+  }
+
+  return focus;
+}
+
+/**
+ * Validates and sanitizes reroll steering from the request body.
+ * Explicit focus weights win over weights parsed from feedback.
+ *
+ * @param {object} params - Request fields
+ * @param {string} params.feedback - Optional free-text feedback
+ * @param {object} params.focus - Optional focus weights by category, from -1 (much less) to 1 (much more)
+ * @returns {object} { feedback, focus } (feedback is null when absent)
+ * @throws {Error} 400 if feedback or focus is malformed
+ */
+export function resolveSteering({ feedback, focus }) {
+  let cleanFeedback = null;
+  if (feedback !== undefined && feedback !== null) {
+    if (typeof feedback !== 'string') {
+      throw badRequest('feedback must be a string');
+    }
+    cleanFeedback = sanitizeInput(feedback);
+    if (cleanFeedback.length > MAX_FEEDBACK_LENGTH) {
+      throw badRequest(`feedback must be at most ${MAX_FEEDBACK_LENGTH} characters`);
+    }
+  }
+
+  const categories = Object.values(BlockCategory);
+  if (focus !== undefined && (typeof focus !== 'object' || focus === null || Array.isArray(focus))) {
+    throw badRequest('focus must be an object of weights by category');
+  }
+  for (const [category, weight] of Object.entries(focus || {})) {
+    if (!categories.includes(category)) {
+      throw badRequest(`Invalid focus category: ${category}. Must be one of: ${categories.join(', ')}`);
+    }
+    if (typeof weight !== 'number' || weight < -1 || weight > 1) {
+      throw badRequest(`Focus weight for ${category} must be a number between -1 and 1`);
+    }
+  }
+
+  return {
+    feedback: cleanFeedback || null,
+    focus: { ...parseFeedbackFocus(cleanFeedback), ...focus },
+  };
+}
+
+/**
+ * A section's items as a flat list. Prep outline items are labeled with their outline
+ * section ("System Design: Caching"), since the section name often says what they cover.
+ */
+function sectionItems(section, value) {
+  switch (section) {
+  case 'prepOutline':
+    return value.flatMap((entry) => entry.items.map((item) => `${entry.section}: ${item}`));
+  case 'weeklyDrillPlan':
+    return value.flatMap((entry) => entry.drills);
+  default:
+    return Array.isArray(value) ? value : Object.values(value).flat();
+  }
+}
+
+/**
+ * Share of a section's time (time blocks) or items (tasks, milestones, prep items) per category.
+ */
+function categoryShares(section, value) {
+  const items = sectionItems(section, value);
+  const totals = {};
+  let total = 0;
+
+  for (const item of items) {
+    const label = typeof item === 'string' ? item : item.label;
+    const weight = section === 'timeBlocks' ? item.durationHours : 1;
+    const category = categorizeLabel(label);
+    totals[category] = (totals[category] || 0) + weight;
+    total += weight;
+  }
+
+  return Object.fromEntries(
+    Object.values(BlockCategory).map((category) => [category, total > 0 ? (totals[category] || 0) / total : 0])
+  );
+}
+
+/**
+ * Drops pinned items so only the regenerated part of a section is compared.
+ */
+function withoutPins(value, pinned) {
+  if (Array.isArray(value)) return value;
+  return Object.fromEntries(Object.entries(value).map(([day, items]) => [
+    day,
+    items.filter((item) => !(pinned[day] || []).includes(typeof item === 'string' ? item : item.label)),
+  ]));
+}
+
+/**
+ * Checks that a rerolled section differs from the current one and follows the focus weights.
+ *
+ * @param {object} params - Check parameters
+ * @param {string} params.section - Section name
+ * @param {*} params.current - Current section value
+ * @param {*} params.next - Rerolled section value
+ * @param {object} params.focus - Focus weights by category
+ * @param {string} params.day - Day the reroll was scoped to, if any
+ * @param {object} params.pinned - Pinned labels by day
+ * @returns {string[]} Issues (empty if the reroll looks right)
+ */
+export function checkRerollDirection({ section, current, next, focus = {}, day = null, pinned = {} }) {
+  const issues = [];
+  const scope = (value) => withoutPins(day ? { [day]: value[day] } : value, pinned);
+  const before = scope(current);
+  const after = scope(next);
+
+  const hasUnpinned = Array.isArray(before) ? before.length > 0 : Object.values(before).some((items) => items.length > 0);
+  if (hasUnpinned && JSON.stringify(before) === JSON.stringify(after)) {
+    issues.push(`Rerolled ${section}${day ? ` for ${day}` : ''} is identical to the current version; generate different content`);
+  }
+
+  if (!CATEGORIZED_SECTIONS.includes(section)) {
+    return issues;
+  }
+
+  const beforeShares = categoryShares(section, before);
+  const afterShares = categoryShares(section, after);
+  for (const [category, weight] of Object.entries(focus)) {
+    const was = beforeShares[category];
+    const now = afterShares[category];
+    const percent = (share) => `${Math.round(share * 100)}%`;
+
+    if (weight > 0 && was < 1 && now < was + SHARE_TOLERANCE) {
+      issues.push(`Requested more ${CATEGORY_NAMES[category]}, but its share did not increase (${percent(was)} → ${percent(now)})`);
+    }
+    if (weight < 0 && was > 0 && now > was - SHARE_TOLERANCE) {
+      issues.push(`Requested less ${CATEGORY_NAMES[category]}, but its share did not decrease (${percent(was)} → ${percent(now)})`);
+    }
+  }
+
+  return issues;
+}
@@ -10,8 +10,13 @@
  * - Safety logging for evaluation
  */
 
+import config from '../config.js';
 import logger from '../utils/logger.js';
 import { storeEvalLog } from '../utils/logAnalysis.js';
+import { buildTemplatePlan, buildTemplatePrep } from './templateEngine.js';
+import { resolveDayBudgets } from '../utils/constraints.js';
+import { checkPlanPolicy } from './planPolicy.js';
+import { checkPreferences } from '../utils/preferences.js';
 
 /**
  * RISKY CONTENT PATTERNS
@@ -199,8 +204,8 @@ export function validateURLs(urls) {
 
       // Block suspicious domains
       const hostname = urlObj.hostname.toLowerCase();
-      const suspiciousDomains = ['bit.ly', 'tinyurl', 't.co', 'goo.gl'];
-      if (suspiciousDomains.some(domain => hostname.includes(domain))) {
+      const suspiciousDomains = ['bit.ly', 'tinyurl.com', 't.co', 'goo.gl'];
+      if (suspiciousDomains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`))) {
         invalid.push(url);
         continue;
       }
@@ -232,10 +237,8 @@ export function filterLLMOutput(data, dataType = 'unknown') {
     filtered.resources = filtered.resources.map(resource => {
       if (resource.url) {
         const urlValidation = validateURLs(resource.url);
-        return {
-          ...resource,
-          url: urlValidation.valid[0] || null, // Use first valid URL or null
-        };
+        // Drop resources without a safe URL (a null url would fail schema validation)
+        return urlValidation.valid[0] ? { ...resource, url: urlValidation.valid[0] } : null;
       }
       return resource;
     }).filter(resource => resource !== null);
@@ -265,73 +268,23 @@ export function filterLLMOutput(data, dataType = 'unknown') {
 }
 
 /**
- * Creates a safe fallback response when LLM fails or returns unsafe content
+ * Creates a safe fallback response when LLM fails or returns unsafe content.
+ * Content comes from the role-aware template engine, so it matches the user's
+ * target role, available days and daily budget and passes the output schemas.
  * @param {string} type - Type of response needed (routine, prep)
  * @param {object} profile - User profile for context
+ * @param {object} options - Template options ({ weekOf, variant })
  * @returns {object} Safe fallback data
  */
-export function createFallbackResponse(type, profile) {
+export function createFallbackResponse(type, profile, options = {}) {
   logger.warn('Using fallback response', { type, profileName: profile?.name });
 
   if (type === 'routine' || type === 'plan') {
-    return {
-      version: 1,
-      weekOf: new Date().toISOString().split('T')[0],
-      timeBlocks: {
-        Mon: [],
-        Tue: [],
-        Wed: [],
-        Thu: [],
-        Fri: [],
-      },
-      milestones: [
-        'Please try generating again when the service is available',
-        'In the meantime, review fundamental data structures',
-        'Start practicing with online coding platforms',
-      ],
-      resources: [
-        {
-          title: 'LeetCode',
-          url: 'https://leetcode.com',
-          description: 'Practice coding problems',
-        },
-        {
-          title: 'Interview Prep Guide',
-          url: 'https://www.interviewbit.com',
-          description: 'Comprehensive interview resources',
-        },
-      ],
-    };
+    return buildTemplatePlan(profile, options);
   }
 
   if (type === 'prep') {
-    return {
-      prepOutline: [
-        {
-          section: 'Data Structures & Algorithms',
-          items: ['Arrays and Strings', 'Linked Lists', 'Trees and Graphs', 'Dynamic Programming'],
-        },
-      ],
-      weeklyDrillPlan: [
-        { day: 'Monday', drills: ['Review arrays and strings'] },
-        { day: 'Tuesday', drills: ['Practice tree problems'] },
-        { day: 'Wednesday', drills: ['Study graph algorithms'] },
-        { day: 'Thursday', drills: ['Focus on dynamic programming'] },
-        { day: 'Friday', drills: ['Mock interview practice'] },
-      ],
-      starterQuestions: [
-        'Reverse a linked list',
-        'Find the maximum element in an array',
-        'Implement binary search',
-      ],
-      resources: [
-        {
-          title: 'LeetCode',
-          url: 'https://leetcode.com',
-          description: 'Practice coding problems',
-        },
-      ],
-    };
+    return buildTemplatePrep(profile, options);
   }
 
   return { error: 'Unable to generate content at this time' };
@@ -347,6 +300,8 @@ export function createFallbackResponse(type, profile) {
  * @param {object} params.riskAssessment - Risk assessment
  * @param {number} params.tokens - Token count
  * @param {number} params.latency - Request latency in ms
+ * @param {array} params.attempts - Repair loop attempts ({ attempt, valid, issues })
+ * @param {string} params.repairOutcome - Repair loop outcome (see RepairOutcome)
  */
 export async function logLLMInteraction({
   traceId,
@@ -356,6 +311,8 @@ export async function logLLMInteraction({
   riskAssessment,
   tokens,
   latency,
+  attempts,
+  repairOutcome,
 }) {
   const logEntry = {
     traceId,
@@ -370,6 +327,10 @@ export async function logLLMInteraction({
     responseLength: response?.length || 0,
     hasURLs: /http/i.test(response || ''),
     hasHighRisk: riskAssessment?.level === RiskLevel.HIGH_RISK,
+    // Repair loop: how many attempts it took and how it ended
+    attemptCount: attempts?.length || 1,
+    repairOutcome: repairOutcome || 'unknown',
+    attempts: attempts || [],
     // Store full prompt and response for refinement analysis
     prompt,
     response,
@@ -420,10 +381,13 @@ SAFETY AND RELIABILITY REQUIREMENTS:
  * Validates data quality before returning to user
  * @param {object} data - Data to validate
  * @param {string} expectedType - Expected data type
- * @param {object} profile - Optional user profile for time budget validation
+ * @param {object} profile - Optional user profile for time budget and plan policy validation
+ * @param {object} options - Optional scope
+ * @param {string[]} options.days - Only check these days against the plan policy and preferences
+ * @param {object} options.preferences - Generation preferences to check plans against (see checkPreferences)
  * @returns {object} Validation result
  */
-export function validateDataQuality(data, expectedType = 'unknown', profile = null) {
+export function validateDataQuality(data, expectedType = 'unknown', profile = null, options = {}) {
   const issues = [];
 
   if (!data || typeof data !== 'object') {
@@ -438,15 +402,32 @@ export function validateDataQuality(data, expectedType = 'unknown', profile = nu
     
     // Validate time budget compliance if profile provided
     if (profile && data.timeBlocks && typeof data.timeBlocks === 'object') {
-      const timeBudgetIssues = validateTimeBudget(data.timeBlocks, profile.timeBudgetHoursPerDay);
+      const dayBudgets = resolveDayBudgets(profile);
+      const timeBudgetIssues = validateTimeBudget(data.timeBlocks, dayBudgets);
       if (timeBudgetIssues.length > 0) {
         issues.push(...timeBudgetIssues);
         logger.warn('Time budget validation failed', {
           issues: timeBudgetIssues,
-          timeBudget: profile.timeBudgetHoursPerDay
+          timeBudget: dayBudgets
         });
       }
     }
+
+    // Availability and required coverage (see planPolicy.js)
+    if (profile && data.timeBlocks && typeof data.timeBlocks === 'object') {
+      const policyIssues = checkPlanPolicy(data, profile, options);
+      if (policyIssues.length > 0) {
+        issues.push(...policyIssues);
+        logger.warn({ issues: policyIssues }, 'Plan policy validation failed');
+      }
+    }
+
+    // Generation preferences (see preferences.js)
+    const preferenceIssues = checkPreferences(data, options.preferences, { days: options.days });
+    if (preferenceIssues.length > 0) {
+      issues.push(...preferenceIssues);
+      logger.warn({ issues: preferenceIssues }, 'Plan preferences validation failed');
+    }
   }
 
   if (expectedType === 'prep') {
@@ -469,12 +450,14 @@ export function validateDataQuality(data, expectedType = 'unknown', profile = nu
 /**
  * Validates that time block durations sum correctly to time budget
  * @param {object} timeBlocks - Time blocks object keyed by day
- * @param {number} timeBudgetHours - Expected total hours per day
+ * @param {object} dayBudgets - Expected total hours by day
  * @returns {array} Array of validation issues
  */
-function validateTimeBudget(timeBlocks, timeBudgetHours) {
+function validateTimeBudget(timeBlocks, dayBudgets) {
   const issues = [];
-  const tolerance = 0.1; // Allow 0.1 hour (6 minutes) tolerance for rounding
+  // Allow 0.1 hour (6 minutes) for rounding, or half an increment when budgets that aren't
+  // a multiple of the normalization increment get snapped to one
+  const tolerance = Math.max(0.1, config.durationIncrementMinutes / 120);
   
   for (const [day, blocks] of Object.entries(timeBlocks)) {
     if (!Array.isArray(blocks)) continue;
@@ -484,6 +467,7 @@ function validateTimeBudget(timeBlocks, timeBudgetHours) {
       return sum + (block.durationHours || 0);
     }, 0);
     
+    const timeBudgetHours = dayBudgets[day];
     const difference = Math.abs(totalHours - timeBudgetHours);
     
     if (difference > tolerance) {
@@ -0,0 +1,186 @@
+/**
+ * scheduler.js
+ * Assigns concrete start and end times to a plan's time blocks.
+ *
+ * Blocks keep their plan order and are placed back to back inside the day's
+ * availability windows (e.g. "18:00-21:00") minus any blocked time, with an
+ * optional break between consecutive blocks. Blocks are never split across
+ * windows: a block that does not fit in any remaining window is left unscheduled
+ * and reported as a conflict.
+ * The result depends only on the input, so the same plan always gets the same times.
+ */
+
+const DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const MINUTES_PER_DAY = 24 * 60;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Converts "HH:MM" to minutes after midnight.
+ */
+export function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Converts minutes after midnight to "HH:MM".
+ */
+export function formatMinutes(minutes) {
+  const hours = Math.floor(minutes / 60);
+  return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Parses an availability window such as "18:00-21:00" (an en dash also works).
+ *
+ * @param {string} window - Window text
+ * @returns {object} { start, end } in minutes after midnight
+ * @throws {Error} 400 if the window is malformed or ends before it starts
+ */
+export function parseWindow(window) {
+  const match = String(window).match(/^(\d{2}:\d{2}) ?[-–] ?(\d{2}:\d{2})$/);
+  if (!match) {
+    throw badRequest(`Invalid availability window: "${window}". Use HH:MM-HH:MM, e.g. 18:00-21:00`);
+  }
+
+  const start = toMinutes(match[1]);
+  const end = toMinutes(match[2]);
+  if (end <= start || end > MINUTES_PER_DAY) {
+    throw badRequest(`Invalid availability window: "${window}". It must end after it starts, on the same day`);
+  }
+
+  return { start, end };
+}
+
+/**
+ * Sorts a day's windows and merges any that overlap or touch.
+ */
+function mergeWindows(windows) {
+  const sorted = windows.map(parseWindow).sort((a, b) => a.start - b.start);
+  const merged = [];
+
+  for (const window of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && window.start <= last.end) {
+      last.end = Math.max(last.end, window.end);
+    } else {
+      merged.push({ ...window });
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Removes blocked time (e.g. "gym 18:00-19:00" from the profile's constraints) from windows.
+ */
+function subtractWindows(windows, blocked) {
+  let free = windows;
+  for (const busy of blocked) {
+    free = free.flatMap((window) => [
+      { start: window.start, end: Math.min(window.end, busy.start) },
+      { start: Math.max(window.start, busy.end), end: window.end },
+    ].filter((part) => part.end > part.start));
+  }
+  return free;
+}
+
+/**
+ * Places one day's blocks into its windows.
+ */
+function scheduleDay(blocks, windows, breakMinutes) {
+  const scheduled = [];
+  const unscheduled = [];
+  let windowIndex = 0;
+  let cursor = windows[0]?.start ?? 0;
+
+  for (const block of blocks) {
+    const duration = Math.round(block.durationHours * 60);
+    let placed = false;
+
+    while (windowIndex < windows.length) {
+      const window = windows[windowIndex];
+      // Breaks only separate blocks within a window; a new window starts fresh
+      const start = Math.max(cursor, window.start);
+      if (start + duration <= window.end) {
+        scheduled.push({
+          label: block.label,
+          durationHours: block.durationHours,
+          start: formatMinutes(start),
+          end: formatMinutes(start + duration),
+        });
+        cursor = start + duration + breakMinutes;
+        placed = true;
+        break;
+      }
+
+      windowIndex++;
+      cursor = windows[windowIndex]?.start ?? cursor;
+    }
+
+    if (!placed) {
+      unscheduled.push(block);
+    }
+  }
+
+  return { scheduled, unscheduled };
+}
+
+/**
+ * Assigns start and end times to every time block of a plan.
+ *
+ * @param {object} plan - Plan matching plan.schema.json (ideally already normalized)
+ * @param {object} options - Scheduling options
+ * @param {object} options.availability - Windows by day, e.g. { Mon: ['18:00-21:00'] }
+ * @param {number} options.breakMinutes - Break between consecutive blocks (default 0)
+ * @param {object} options.blocked - Busy windows by day that are taken out of the availability,
+ *   e.g. blockedWindows from parseConstraints
+ * @returns {object} { weekOf, breakMinutes, days, unscheduled, conflicts }
+ *   days: blocks with start/end by day; unscheduled: blocks that did not fit, with their day;
+ *   conflicts: per-day explanations of why blocks did not fit
+ * @throws {Error} 400 if a window is malformed
+ */
+export function scheduleWeek(plan, { availability, breakMinutes = 0, blocked = {} }) {
+  const days = {};
+  const unscheduled = [];
+  const conflicts = [];
+
+  for (const day of DAYS) {
+    const blocks = plan.timeBlocks[day] || [];
+    const windows = subtractWindows(mergeWindows(availability[day] || []), mergeWindows(blocked[day] || []));
+    const result = scheduleDay(blocks, windows, breakMinutes);
+    days[day] = result.scheduled;
+
+    if (result.unscheduled.length === 0) continue;
+
+    unscheduled.push(...result.unscheduled.map((block) => ({ day, ...block })));
+
+    const plannedMinutes = blocks.reduce((sum, block) => sum + Math.round(block.durationHours * 60), 0)
+      + breakMinutes * Math.max(0, blocks.length - 1);
+    const availableMinutes = windows.reduce((sum, window) => sum + (window.end - window.start), 0);
+
+    let message;
+    if (windows.length === 0) {
+      message = `${day} has ${blocks.length} block(s) but no availability`;
+    } else if (plannedMinutes > availableMinutes) {
+      message = `${day} needs ${plannedMinutes} min${breakMinutes > 0 ? ' including breaks' : ''} but only ${availableMinutes} min are available`;
+    } else {
+      message = `${day} has enough time in total, but ${result.unscheduled.length} block(s) are longer than the free time left in any window`;
+    }
+
+    conflicts.push({
+      day,
+      plannedMinutes,
+      availableMinutes,
+      unscheduledBlocks: result.unscheduled.map((block) => block.label),
+      message,
+    });
+  }
+
+  return { weekOf: plan.weekOf, breakMinutes, days, unscheduled, conflicts };
+}
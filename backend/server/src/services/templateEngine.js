@@ -0,0 +1,303 @@
+/**
+ * templateEngine.js
+ * Deterministic, role-aware plan and prep pack generator driven by local template packs.
+ *
+ * Used for fallback content when the LLM fails or returns unsafe output, and by the
+ * local LLM provider. Output always passes plan.schema.json / prep.schema.json, respects
+ * availableDays, the daily time budget and parsed constraints, and rotates content by
+ * week so repeated fallbacks don't look identical.
+ */
+
+import { readFileSync, readdirSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { mondayOf } from '../utils/week.js';
+import { resolveAvailableDays, resolveDayBudgets } from '../utils/constraints.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const PACKS_DIR = join(__dirname, '../templates/packs');
+
+const DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const DEFAULT_DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri'];
+const DEFAULT_BUDGET_HOURS = 2;
+const MAX_BLOCK_HOURS = 2;
+const MIN_BLOCK_HOURS = 0.25;
+// Prep outline items shown per section
+const OUTLINE_ITEMS = 4;
+
+// Load template packs once at startup
+const COMMON = JSON.parse(readFileSync(join(PACKS_DIR, 'common.json'), 'utf-8'));
+const ROLE_PACKS = readdirSync(PACKS_DIR)
+  .filter((file) => file.endsWith('.json') && file !== 'common.json')
+  .map((file) => JSON.parse(readFileSync(join(PACKS_DIR, file), 'utf-8')));
+
+// Packs are matched in this order; the generalist pack is the default
+const MATCH_ORDER = ['ml', 'data', 'ios', 'frontend', 'backend'];
+
+/**
+ * Picks the template pack for a target role by keyword.
+ *
+ * @param {string} targetRole - Free-text target role (e.g. "iOS Software Engineer")
+ * @returns {object} Role template pack
+ */
+export function resolveRolePack(targetRole) {
+  const role = ` ${String(targetRole || '').toLowerCase().replace(/[^a-z0-9+#-]+/g, ' ')} `;
+
+  for (const id of MATCH_ORDER) {
+    const pack = ROLE_PACKS.find((p) => p.id === id);
+    if (pack?.keywords.some((keyword) => role.includes(` ${keyword} `))) {
+      return pack;
+    }
+  }
+
+  return ROLE_PACKS.find((p) => p.id === 'generalist');
+}
+
+/**
+ * Number of whole weeks between the Unix epoch and weekOf; drives content rotation.
+ * @param {string} weekOf - Week start date (YYYY-MM-DD)
+ * @returns {number} Week index (0 if weekOf is missing or invalid)
+ */
+export function getWeekIndex(weekOf) {
+  const time = Date.parse(`${weekOf}T00:00:00Z`);
+  if (Number.isNaN(time)) return 0;
+  return Math.floor(time / (7 * 24 * 60 * 60 * 1000));
+}
+
+/**
+ * Picks items[index] with wrap-around.
+ */
+function pick(items, index) {
+  return items[((index % items.length) + items.length) % items.length];
+}
+
+/**
+ * Returns count items starting at offset, with wrap-around.
+ */
+function pickMany(items, offset, count) {
+  return Array.from({ length: Math.min(count, items.length) }, (_, i) => pick(items, offset + i));
+}
+
+function fill(template, topic) {
+  return template.replace('{topic}', topic);
+}
+
+function truncate(text, maxLength) {
+  return text.length > maxLength ? text.substring(0, maxLength) : text;
+}
+
+function roundHours(hours) {
+  return parseFloat(hours.toFixed(2));
+}
+
+function quarter(hours) {
+  return Math.max(MIN_BLOCK_HOURS, Math.round(hours * 4) / 4);
+}
+
+/**
+ * Applies safe defaults for fields a fallback may receive without validation.
+ */
+function resolveProfile(profile) {
+  const budget = profile?.timeBudgetHoursPerDay;
+  const isValidBudget = (hours) => typeof hours === 'number' && hours >= 0.5 && hours <= 12;
+  const days = Array.isArray(profile?.availableDays)
+    ? profile.availableDays.filter((day) => DAYS.includes(day))
+    : [];
+
+  const resolved = {
+    targetRole: profile?.targetRole || '',
+    timeBudgetHoursPerDay: isValidBudget(budget) ? budget : DEFAULT_BUDGET_HOURS,
+    timeBudgetHoursByDay: Object.fromEntries(
+      Object.entries(profile?.timeBudgetHoursByDay || {})
+        .filter(([day, hours]) => DAYS.includes(day) && isValidBudget(hours))
+    ),
+    availableDays: days.length > 0 ? days : DEFAULT_DAYS,
+    constraints: profile?.constraints,
+  };
+
+  return {
+    ...resolved,
+    availableDays: resolveAvailableDays(resolved),
+    dayBudgets: resolveDayBudgets(resolved),
+  };
+}
+
+/**
+ * Splits a daily budget into block kinds and durations that sum exactly to the budget.
+ * Applications/networking get 0.5h (0.25h on sub-1h days); the rest goes
+ * roughly 45/35/20 to DS&A, role-specific prep and a project or behavioral block.
+ *
+ * @param {number} budget - Daily time budget in hours
+ * @returns {Array<{kind: string, hours: number}>} Allocations
+ */
+function allocateDay(budget) {
+  // Too short to split: one DS&A block
+  if (budget < 0.5) {
+    return [{ kind: 'dsa', hours: budget }];
+  }
+
+  const applications = budget >= 1 ? 0.5 : MIN_BLOCK_HOURS;
+  const rest = roundHours(budget - applications);
+  const allocations = [];
+
+  if (rest < 0.75) {
+    allocations.push({ kind: 'dsa', hours: rest });
+  } else if (rest < 1.5) {
+    const dsa = quarter(rest * 0.6);
+    allocations.push({ kind: 'dsa', hours: dsa }, { kind: 'role', hours: roundHours(rest - dsa) });
+  } else {
+    let dsa = quarter(rest * 0.45);
+    const role = quarter(rest * 0.35);
+    const third = roundHours(rest - dsa - role);
+    if (third < MIN_BLOCK_HOURS) {
+      dsa = roundHours(dsa + third);
+      allocations.push({ kind: 'dsa', hours: dsa }, { kind: 'role', hours: role });
+    } else {
+      allocations.push({ kind: 'dsa', hours: dsa }, { kind: 'role', hours: role }, { kind: 'third', hours: third });
+    }
+  }
+
+  allocations.push({ kind: 'applications', hours: applications });
+  return allocations;
+}
+
+/**
+ * Turns an allocation into one or more blocks of at most MAX_BLOCK_HOURS.
+ */
+function toBlocks(label, hours) {
+  const parts = Math.ceil(hours / MAX_BLOCK_HOURS - 1e-9);
+  if (parts <= 1) {
+    return [{ label: truncate(label, 80), durationHours: roundHours(hours) }];
+  }
+
+  // Round every part but the last up to a quarter hour so the last one stays within bounds
+  const partHours = Math.ceil((hours / parts) * 4) / 4;
+  const blocks = [];
+  let remaining = hours;
+  for (let part = 1; part <= parts; part++) {
+    const duration = part === parts ? remaining : partHours;
+    blocks.push({ label: truncate(`${label} (part ${part})`, 80), durationHours: roundHours(duration) });
+    remaining -= duration;
+  }
+  return blocks;
+}
+
+/**
+ * Builds a full weekly plan from template packs.
+ *
+ * @param {object} profile - User profile (missing fields fall back to defaults)
+ * @param {object} options - Generation options
+ * @param {string} options.weekOf - Monday of the plan week (defaults to the current week)
+ * @param {number} options.variant - Extra rotation offset, e.g. for rerolls
+ * @returns {object} Plan matching plan.schema.json
+ */
+export function buildTemplatePlan(profile, { weekOf = mondayOf(), variant = 0 } = {}) {
+  const { targetRole, dayBudgets, availableDays } = resolveProfile(profile);
+  const pack = resolveRolePack(targetRole);
+  const rotation = getWeekIndex(weekOf) + variant;
+  const dayCount = availableDays.length;
+  const timeBlocks = {};
+  const dailyTasks = {};
+  const weekTopics = [];
+
+  let dayIndex = 0;
+  for (const day of DAYS) {
+    if (!availableDays.includes(day)) {
+      timeBlocks[day] = [];
+      dailyTasks[day] = [];
+      continue;
+    }
+
+    const offset = rotation * dayCount + dayIndex;
+    const dsaTopic = pick(COMMON.dsa.topics, offset);
+    const roleTopic = pick(pack.role.topics, offset);
+    const behavioralDay = dayIndex % 3 === 2;
+    const projectTopic = pick(pack.project.topics, rotation + dayIndex);
+    const behavioralBlock = pick(COMMON.behavioral.blocks, rotation + dayIndex);
+    weekTopics.push(dsaTopic);
+
+    const labels = {
+      dsa: `DS&A: ${dsaTopic}`,
+      role: `${pack.label}: ${roleTopic}`,
+      third: behavioralDay ? behavioralBlock : projectTopic,
+      applications: COMMON.applications.label,
+    };
+
+    const allocations = allocateDay(dayBudgets[day]);
+    timeBlocks[day] = allocations.flatMap(({ kind, hours }) => toBlocks(labels[kind], hours));
+
+    const tasks = [fill(pick(COMMON.dsa.tasks, offset), dsaTopic)];
+    if (allocations.some((a) => a.kind === 'role')) {
+      tasks.push(fill(pick(pack.role.tasks, offset), roleTopic));
+    }
+    if (allocations.some((a) => a.kind === 'third')) {
+      tasks.push(behavioralDay
+        ? pick(COMMON.behavioral.tasks, rotation + dayIndex)
+        : fill(pick(pack.project.tasks, offset), projectTopic));
+    }
+    tasks.push(pick(COMMON.applications.tasks, offset));
+    dailyTasks[day] = tasks.map((task) => truncate(task, 120));
+
+    dayIndex++;
+  }
+
+  const milestones = [
+    truncate(`Complete ${dayCount * 2} DS&A problems covering ${weekTopics.slice(0, 2).join(' and ')}`, 120),
+    ...pickMany(pack.milestones, rotation, 2),
+    `Send ${dayCount * 2} applications or networking messages`,
+  ];
+
+  return {
+    weekOf,
+    timeBlocks,
+    dailyTasks,
+    milestones,
+    resources: [
+      ...pickMany(pack.resources, rotation, pack.resources.length),
+      ...pickMany(COMMON.resources, rotation, 3),
+    ],
+    version: 1,
+  };
+}
+
+/**
+ * Builds an interview prep pack from template packs.
+ *
+ * @param {object} profile - User profile (missing fields fall back to defaults)
+ * @param {object} options - Generation options
+ * @param {string} options.weekOf - Week used for content rotation (defaults to the current week)
+ * @param {number} options.variant - Extra rotation offset
+ * @returns {object} Prep pack matching prep.schema.json
+ */
+export function buildTemplatePrep(profile, { weekOf = mondayOf(), variant = 0 } = {}) {
+  const { targetRole } = resolveProfile(profile);
+  const pack = resolveRolePack(targetRole);
+  const rotation = getWeekIndex(weekOf) + variant;
+  const warmupTopic = pick(COMMON.dsa.topics, rotation);
+  const outline = [COMMON.outline.dsa, ...pack.outline, COMMON.outline.behavioral, COMMON.outline.resume];
+
+  return {
+    // Each outline section shows a rotating selection of its items
+    prepOutline: outline.map((entry, index) => ({
+      section: entry.section,
+      items: pickMany(entry.items, rotation + index, OUTLINE_ITEMS),
+    })),
+    weeklyDrillPlan: [
+      { day: 'Mon', drills: [`Warm-up: 2 easy ${warmupTopic} problems`, ...COMMON.drills.Mon] },
+      { day: 'Tue', drills: [...COMMON.drills.Tue, `Re-solve one ${pick(COMMON.dsa.topics, rotation + 1)} problem from memory`] },
+      { day: 'Wed', drills: [...pack.drills, truncate(`Explain ${pick(pack.role.topics, rotation)} out loud in 3 minutes`, 160)] },
+      { day: 'Thu', drills: [...COMMON.drills.Thu, `Timed medium: one ${pick(COMMON.dsa.topics, rotation + 2)} problem in 25 minutes`] },
+      { day: 'Fri', drills: COMMON.drills.Fri },
+    ],
+    starterQuestions: [
+      ...pack.starterQuestions,
+      ...pickMany(COMMON.starterQuestions, rotation * 3, 3),
+    ],
+    resources: [
+      ...pack.resources,
+      ...pickMany(COMMON.resources, rotation, 3),
+    ],
+  };
+}
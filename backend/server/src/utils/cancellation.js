@@ -0,0 +1,60 @@
+/**
+ * cancellation.js
+ * Cancelling in-flight generation.
+ *
+ * Generation takes an optional AbortSignal that is passed down to the provider call.
+ * Once it fires, the call is aborted and the pipeline stops with a cancellation error
+ * instead of falling back, since nobody is waiting for the result any more. Requests get
+ * a signal that fires when the client disconnects (see requestCancellation); jobs get
+ * one that fires when they are cancelled.
+ */
+
+/**
+ * Creates the error generation stops with when it is cancelled.
+ *
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode 499 and `cancelled: true`
+ */
+export function createCancellationError(message = 'Generation cancelled') {
+  const error = new Error(message);
+  error.statusCode = 499;
+  error.cancelled = true;
+  return error;
+}
+
+/**
+ * Returns true if an error means generation was cancelled.
+ */
+export function isCancellation(error) {
+  return error?.cancelled === true;
+}
+
+/**
+ * Throws a cancellation error if the signal has fired.
+ *
+ * @param {AbortSignal} signal - Optional cancellation signal
+ * @throws {Error} Cancellation error (see createCancellationError)
+ */
+export function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw createCancellationError();
+  }
+}
+
+/**
+ * Express middleware that gives each request a cancellation signal (req.signal). It fires
+ * when the client goes away (cancelled request, closed socket) before the response is
+ * sent, so in-flight LLM calls for it are aborted.
+ */
+export function requestCancellation(req, res, next) {
+  const controller = new AbortController();
+  req.signal = controller.signal;
+
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+
+  next();
+}
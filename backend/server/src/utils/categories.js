@@ -0,0 +1,100 @@
+/**
+ * categories.js
+ * Classifies time block labels and tasks into prep categories by keyword.
+ */
+
+/**
+ * Prep categories
+ */
+export const BlockCategory = {
+  DSA: 'dsa',
+  ROLE: 'role',
+  PROJECT: 'project',
+  BEHAVIORAL: 'behavioral',
+  APPLICATIONS: 'applications',
+};
+
+/**
+ * Human-readable category names for prompts and messages
+ */
+export const CATEGORY_NAMES = {
+  [BlockCategory.DSA]: 'DS&A',
+  [BlockCategory.ROLE]: 'role-specific prep',
+  [BlockCategory.PROJECT]: 'project work',
+  [BlockCategory.BEHAVIORAL]: 'behavioral prep',
+  [BlockCategory.APPLICATIONS]: 'applications and networking',
+};
+
+// Checked in order; the role pattern only matters for matchCategory, since
+// categorizeLabel treats anything unmatched as role-specific prep anyway
+const CATEGORY_PATTERNS = [
+  [BlockCategory.APPLICATIONS, /\b(application|applications|apply|networking|network|outreach|recruiter|referral|linkedin)\b/i],
+  [BlockCategory.BEHAVIORAL, /\b(behavioral|behavioural|star|stories|story)\b/i],
+  [BlockCategory.DSA, /(ds&a|\bdsa\b|leetcode|\blc\b|\bdp\b|algorithm|data structure|\bproblems?\b|two pointers|sliding window|dynamic programming)/i],
+  [BlockCategory.PROJECT, /\b(project|portfolio|github|side app|code review)\b/i],
+  [BlockCategory.ROLE, /\b(role|system design|design|framework|frameworks|domain)\b/i],
+];
+
+/**
+ * Returns the prep category named in a piece of text, if any.
+ *
+ * @param {string} text - Free text (e.g. "more system design")
+ * @returns {string|null} BlockCategory value, or null if no category is mentioned
+ */
+export function matchCategory(text) {
+  const value = String(text || '');
+  const match = CATEGORY_PATTERNS.find(([, pattern]) => pattern.test(value));
+  return match ? match[0] : null;
+}
+
+/**
+ * Returns the prep category of a block label or task.
+ *
+ * @param {string} label - Block label or task text
+ * @returns {string} BlockCategory value
+ */
+export function categorizeLabel(label) {
+  return matchCategory(label) || BlockCategory.ROLE;
+}
+
+/**
+ * Block categories of the v2 plan format: system design is split out of role-specific
+ * prep, and project work is called portfolio.
+ */
+export const PlanCategory = {
+  DSA: 'dsa',
+  ROLE: 'role',
+  SYSTEM_DESIGN: 'systemDesign',
+  BEHAVIORAL: 'behavioral',
+  PORTFOLIO: 'portfolio',
+  APPLICATIONS: 'applications',
+};
+
+/**
+ * Human-readable v2 plan category names for prompts and messages
+ */
+export const PLAN_CATEGORY_NAMES = {
+  [PlanCategory.DSA]: CATEGORY_NAMES[BlockCategory.DSA],
+  [PlanCategory.ROLE]: CATEGORY_NAMES[BlockCategory.ROLE],
+  [PlanCategory.SYSTEM_DESIGN]: 'system design',
+  [PlanCategory.BEHAVIORAL]: CATEGORY_NAMES[BlockCategory.BEHAVIORAL],
+  [PlanCategory.PORTFOLIO]: 'portfolio work',
+  [PlanCategory.APPLICATIONS]: CATEGORY_NAMES[BlockCategory.APPLICATIONS],
+};
+
+/**
+ * Returns the v2 plan category named in a piece of text, if any.
+ *
+ * @param {string} text - Block label or task text
+ * @returns {string|null} PlanCategory value, or null if no category is mentioned
+ */
+export function matchPlanCategory(text) {
+  const category = matchCategory(text);
+  if (category === BlockCategory.PROJECT) {
+    return PlanCategory.PORTFOLIO;
+  }
+  if (category === BlockCategory.ROLE && /\bsystem design\b/i.test(text)) {
+    return PlanCategory.SYSTEM_DESIGN;
+  }
+  return category;
+}
@@ -0,0 +1,361 @@
+/**
+ * constraints.js
+ * Parses the free-text `profile.constraints` into structured availability rules.
+ *
+ * Understood phrases become one of three rules:
+ * - unavailable: whole days off ("no weekends", "busy Tue/Thu", "weekdays only")
+ * - budget: a per-day cap on study time ("no more than 1h on Fridays")
+ * - blocked: time windows that can't be used ("gym MWF 6–7pm", "no screens after 10pm",
+ *   "busy until 7pm on weekdays")
+ * Anything else (including soft preferences like "prefer mornings") is reported as
+ * unparsed so callers can tell the user instead of silently ignoring it.
+ */
+
+const DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri'];
+const WEEKEND = ['Sat', 'Sun'];
+
+const DAY_PATTERN = '(mon(?:day)?|tue(?:s(?:day)?)?|wed(?:s|nesday)?|thu(?:r(?:s(?:day)?)?)?|fri(?:day)?|sat(?:urday)?|sun(?:day)?)s?';
+
+// Compact day letters as in "MWF" or "TTh" (case-sensitive)
+const DAY_LETTERS = { M: 'Mon', T: 'Tue', Tu: 'Tue', W: 'Wed', Th: 'Thu', R: 'Thu', F: 'Fri', Sa: 'Sat', Su: 'Sun' };
+
+// Windows for parts of the day, in minutes after midnight
+const PERIODS = {
+  morning: { start: 6 * 60, end: 12 * 60 },
+  afternoon: { start: 12 * 60, end: 17 * 60 },
+  evening: { start: 17 * 60, end: 24 * 60 },
+  night: { start: 21 * 60, end: 24 * 60 },
+};
+
+const BUDGET_BEFORE = /\b(?:no more than|not more than|max(?:imum)?(?: of)?|at most|up to|only|limit(?:ed)? to|cap(?:ped)? at|under|less than)\s*(\d+(?:\.\d+)?)\s*(h|hrs?|hours?|m|mins?|minutes?)\b/i;
+const BUDGET_AFTER = /\b(\d+(?:\.\d+)?)\s*(h|hrs?|hours?|m|mins?|minutes?)\s*(?:(?:a|per|\/)\s*day\s*)?(?:max(?:imum)?|tops|or less|at most)\b/i;
+// Ranges followed by a unit ("1-2 hours", "3-4 times") are amounts, not clock times
+const TIME_RANGE = /\b(\d{1,2})(?::(\d{2}))?\s*(am|pm)?\s*(?:-|–|—|to|until|till)\s*(\d{1,2})(?::(\d{2}))?\s*(am|pm)?(?![\d:])(?!\s*(?:h|hrs?|hours?|m|mins?|minutes?|times|x)\b)/i;
+const AFTER_TIME = /\bafter\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm)?\b/i;
+// "until 7pm" blocks the day up to that time, like "before 7pm"
+const BEFORE_TIME = /\b(?:before|until|till|til)\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm)?\b/i;
+// Anything that looks like a time of day; a phrase with one is never a whole day off
+const TIME_HINT = /\b\d{1,2}(?::\d{2})?\s*(?:am|pm)\b|\b\d{1,2}:\d{2}\b|\b(?:until|till|til|noon|midnight)\b/i;
+const PERIOD = /\b(morning|afternoon|evening|night)s?\b/i;
+
+// Words that mark a phrase as a limit rather than a commitment or a wish
+const NEGATION = /\b(no|not|never|busy|off|unavailable|can'?t|cannot|don'?t|avoid|skip|except)\b/i;
+const AVAILABILITY = /\b(only|free|available)\b/i;
+const PREFERENCE = /\b(prefer(?:ably)?|ideally|rather|like|best|if possible)\b/i;
+// "no class on Sat" rules out something else, which leaves the user free, not off
+const SELF_OBJECT = `${DAY_PATTERN}|weekends?|weekdays?|on|any|study\\w*|prep\\w*|practi[cs]\\w*|interview\\w*|leetcode|sessions?|plans?|tasks?`;
+const OTHER_COMMITMENT = new RegExp(`\\b(?:no|don'?t have|never have)\\s+(?!(?:${SELF_OBJECT})\\b)[a-z]`, 'i');
+
+/**
+ * Minutes after midnight as "HH:MM".
+ */
+function formatMinutes(minutes) {
+  const hours = Math.floor(minutes / 60);
+  return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function toMinutes(hours, minutes, meridiem) {
+  let hour = Number(hours);
+  if (meridiem?.toLowerCase() === 'pm' && hour < 12) hour += 12;
+  if (meridiem?.toLowerCase() === 'am' && hour === 12) hour = 0;
+  return hour * 60 + Number(minutes || 0);
+}
+
+function formatWindow({ start, end }) {
+  return `${formatMinutes(start)}-${formatMinutes(end)}`;
+}
+
+function parseWindowText(window) {
+  const [start, end] = window.split('-').map((time) => toMinutes(...time.split(':')));
+  return { start, end };
+}
+
+/**
+ * Sorts windows and merges any that overlap or touch.
+ */
+function mergeWindows(windows) {
+  const merged = [];
+  for (const window of windows.map(parseWindowText).sort((a, b) => a.start - b.start)) {
+    const last = merged[merged.length - 1];
+    if (last && window.start <= last.end) {
+      last.end = Math.max(last.end, window.end);
+    } else {
+      merged.push(window);
+    }
+  }
+  return merged.map(formatWindow);
+}
+
+function sortDays(days) {
+  return DAYS.filter((day) => days.includes(day));
+}
+
+/**
+ * Finds the days a phrase refers to: names, ranges ("Mon-Fri"), compact letters
+ * ("MWF"), "weekdays", "weekends" and "every day".
+ *
+ * @returns {string[]} Days in week order (empty if none are named)
+ */
+function extractDays(text) {
+  const days = new Set();
+  const lower = text.toLowerCase();
+  const dayOf = (word) => DAYS.find((day) => word.startsWith(day.toLowerCase()));
+
+  if (/\b(every ?day|daily|each day|any day|a day|per day|all week)\b/.test(lower)) {
+    DAYS.forEach((day) => days.add(day));
+  }
+  if (/\bweekdays?\b/.test(lower)) WEEKDAYS.forEach((day) => days.add(day));
+  if (/\bweekends?\b/.test(lower)) WEEKEND.forEach((day) => days.add(day));
+
+  const range = new RegExp(`\\b${DAY_PATTERN}\\s*(?:-|–|to|through|thru)\\s*${DAY_PATTERN}\\b`, 'i');
+  const rangeMatch = lower.match(range);
+  if (rangeMatch) {
+    const from = DAYS.indexOf(dayOf(rangeMatch[1]));
+    const to = DAYS.indexOf(dayOf(rangeMatch[2]));
+    for (let i = from; i !== (to + 1) % 7; i = (i + 1) % 7) {
+      days.add(DAYS[i]);
+    }
+  }
+
+  for (const match of lower.matchAll(new RegExp(`\\b${DAY_PATTERN}\\b`, 'g'))) {
+    days.add(dayOf(match[1]));
+  }
+
+  for (const match of text.matchAll(/\b((?:Th|Tu|Sa|Su|M|T|W|R|F){2,})\b/g)) {
+    for (const letter of match[1].match(/Th|Tu|Sa|Su|M|T|W|R|F/g)) {
+      days.add(DAY_LETTERS[letter]);
+    }
+  }
+
+  return sortDays([...days]);
+}
+
+/**
+ * Finds the time window a phrase refers to ("6–7pm", "after 10pm", "evenings").
+ *
+ * @returns {object|null} { start, end } in minutes, null if none, or { invalid: true }
+ */
+function extractWindow(text) {
+  const range = text.match(TIME_RANGE);
+  if (range) {
+    const [, startHour, startMinute, startMeridiem, endHour, endMinute, endMeridiem] = range;
+    let start = toMinutes(startHour, startMinute, startMeridiem);
+    let end = toMinutes(endHour, endMinute, endMeridiem);
+
+    // "6–7pm": the start shares the end's meridiem unless that would put it after the end
+    if (endMeridiem && !startMeridiem) {
+      const shared = toMinutes(startHour, startMinute, endMeridiem);
+      if (shared < end) start = shared;
+    }
+    // "9-5": a bare end before the start is in the afternoon
+    if (!startMeridiem && !endMeridiem && end <= start && end + 12 * 60 > start) {
+      end += 12 * 60;
+    }
+    // "10pm-12am" ends at midnight
+    if (end === 0) end = 24 * 60;
+
+    if (Number(startHour) > 23 || Number(endHour) > 24 || end <= start || end > 24 * 60) {
+      return { invalid: true };
+    }
+    return { start, end };
+  }
+
+  const after = text.match(AFTER_TIME);
+  if (after) {
+    // A bare hour ("after 10") means the evening
+    const meridiem = after[3] || (Number(after[1]) < 12 ? 'pm' : null);
+    return { start: toMinutes(after[1], after[2], meridiem), end: 24 * 60 };
+  }
+
+  const before = text.match(BEFORE_TIME);
+  if (before) {
+    return { start: 0, end: toMinutes(before[1], before[2], before[3]) };
+  }
+
+  const period = text.match(PERIOD);
+  if (period) {
+    return { ...PERIODS[period[1].toLowerCase()] };
+  }
+
+  return null;
+}
+
+/**
+ * Parses one constraint into a rule, or null if it isn't understood.
+ */
+function parseConstraint(text) {
+  const budget = text.match(BUDGET_BEFORE) || text.match(BUDGET_AFTER);
+  if (budget) {
+    const amount = parseFloat(budget[1]);
+    const hours = /^m/i.test(budget[2]) ? amount / 60 : amount;
+    const days = extractDays(text);
+    const maxHours = Math.round(hours * 4) / 4;
+
+    return maxHours === 0
+      ? { type: 'unavailable', days: days.length > 0 ? days : [...DAYS] }
+      : { type: 'budget', days: days.length > 0 ? days : [...DAYS], maxHours };
+  }
+
+  const window = extractWindow(text);
+  const days = extractDays(text);
+
+  if (window) {
+    if (window.invalid || (PREFERENCE.test(text) && !NEGATION.test(text))) {
+      return null;
+    }
+
+    const windows = AVAILABILITY.test(text) && !NEGATION.test(text)
+      // "free 6-9pm" blocks everything around the window
+      ? [{ start: 0, end: window.start }, { start: window.end, end: 24 * 60 }].filter((w) => w.end > w.start)
+      : [window];
+
+    return { type: 'blocked', days: days.length > 0 ? days : [...DAYS], windows: windows.map(formatWindow) };
+  }
+
+  // A time we couldn't read is reported as unparsed rather than blocking whole days
+  if (days.length > 0 && !TIME_HINT.test(text)) {
+    if (AVAILABILITY.test(text) && !NEGATION.test(text)) {
+      return { type: 'unavailable', days: DAYS.filter((day) => !days.includes(day)) };
+    }
+    if (NEGATION.test(text) && !OTHER_COMMITMENT.test(text)) {
+      return { type: 'unavailable', days };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parses free-text constraints into structured rules.
+ *
+ * @param {string[]} constraints - profile.constraints
+ * @returns {object} {
+ *   rules: [{ constraint, type, days, maxHours?, windows? }],
+ *   unparsed: string[],
+ *   unavailableDays: string[],
+ *   dayBudgets: { [day]: maxHours },
+ *   blockedWindows: { [day]: ['HH:MM-HH:MM'] }
+ * }
+ */
+export function parseConstraints(constraints = []) {
+  const rules = [];
+  const unparsed = [];
+  const unavailable = new Set();
+  const dayBudgets = {};
+  const blockedWindows = {};
+
+  for (const constraint of Array.isArray(constraints) ? constraints : []) {
+    if (typeof constraint !== 'string' || !constraint.trim()) continue;
+
+    const rule = parseConstraint(constraint.trim());
+    if (!rule) {
+      unparsed.push(constraint);
+      continue;
+    }
+
+    rules.push({ constraint, ...rule });
+    for (const day of rule.days) {
+      if (rule.type === 'unavailable') unavailable.add(day);
+      if (rule.type === 'budget') dayBudgets[day] = Math.min(dayBudgets[day] ?? Infinity, rule.maxHours);
+      if (rule.type === 'blocked') blockedWindows[day] = [...(blockedWindows[day] || []), ...rule.windows];
+    }
+  }
+
+  return {
+    rules,
+    unparsed,
+    unavailableDays: sortDays([...unavailable]),
+    dayBudgets,
+    blockedWindows: Object.fromEntries(
+      sortDays(Object.keys(blockedWindows)).map((day) => [day, mergeWindows(blockedWindows[day])])
+    ),
+  };
+}
+
+/**
+ * Days the plan may use: the profile's available days minus days the constraints rule out.
+ * If the constraints would rule out every day they are ignored for availability.
+ *
+ * @param {object} profile - User profile
+ * @param {object} parsed - parseConstraints result (parsed from the profile if omitted)
+ * @returns {string[]} Available days in week order
+ */
+export function resolveAvailableDays(profile, parsed = parseConstraints(profile?.constraints)) {
+  const days = Array.isArray(profile?.availableDays) ? sortDays(profile.availableDays) : [...DAYS];
+  const allowed = days.filter((day) => !parsed.unavailableDays.includes(day));
+  return allowed.length > 0 ? allowed : days;
+}
+
+/**
+ * Study budget for every day: the day's entry in timeBudgetHoursByDay (falling back to
+ * timeBudgetHoursPerDay), capped by any per-day constraint.
+ *
+ * @param {object} profile - User profile
+ * @param {object} parsed - parseConstraints result (parsed from the profile if omitted)
+ * @returns {object} Hours by day, e.g. { Mon: 2, ..., Fri: 1, ... }
+ */
+export function resolveDayBudgets(profile, parsed = parseConstraints(profile?.constraints)) {
+  const byDay = profile.timeBudgetHoursByDay || {};
+  return Object.fromEntries(DAYS.map((day) => [
+    day,
+    Math.min(
+      typeof byDay[day] === 'number' ? byDay[day] : profile.timeBudgetHoursPerDay,
+      parsed.dayBudgets[day] ?? Infinity
+    ),
+  ]));
+}
+
+/**
+ * Per-day budgets for prompts, e.g. "Mon 1h, Wed 2h, Sun 4h".
+ * Empty when every listed day simply gets timeBudgetHoursPerDay.
+ *
+ * @param {object} profile - User profile
+ * @param {string[]} days - Days to describe (the available days if omitted)
+ * @returns {string} Budget text, or '' if the budget is the same every day
+ */
+export function describeDayBudgets(profile, days = resolveAvailableDays(profile)) {
+  const budgets = resolveDayBudgets(profile);
+  if (days.every((day) => budgets[day] === profile.timeBudgetHoursPerDay)) {
+    return '';
+  }
+  return days.map((day) => `${day} ${budgets[day]}h`).join(', ');
+}
+
+/**
+ * Short descriptions of the parsed rules, one per line, for prompts.
+ *
+ * @param {object} parsed - parseConstraints result
+ * @returns {string[]} Rule descriptions
+ */
+export function describeConstraintRules(parsed) {
+  return parsed.rules.map((rule) => {
+    const days = rule.days.length === 7 ? 'every day' : rule.days.join(', ');
+    switch (rule.type) {
+    case 'unavailable':
+      return `No study on ${days}`;
+    case 'budget':
+      return `At most ${rule.maxHours}h of study on ${days}`;
+    default:
+      return `Not available ${rule.windows.join(' and ')} on ${days}`;
+    }
+  });
+}
+
+/**
+ * Constraint text for prompts: parsed rules as hard requirements, followed by the
+ * constraints that weren't understood, passed through as free text.
+ *
+ * @param {object} profile - User profile
+ * @param {string} label - Label for the free-text constraints
+ * @returns {string} Prompt text starting with a newline, or '' if there are no constraints
+ */
+export function buildConstraintsText(profile, label = 'Constraints') {
+  const parsed = parseConstraints(profile.constraints);
+  const rules = describeConstraintRules(parsed);
+
+  return [
+    rules.length > 0 ? `\nHard constraints (must be followed):\n${rules.map((rule) => `  - ${rule}`).join('\n')}` : '',
+    parsed.unparsed.length > 0 ? `\n${label}: ${parsed.unparsed.join(', ')}` : '',
+  ].join('');
+}
@@ -0,0 +1,146 @@
+/**
+ * envelope.js
+ * Optional versioned response envelope.
+ *
+ * Clients opt in with `?envelope=1` or the `X-Response-Envelope: 1` header and receive
+ *   { envelopeVersion, data, meta: { source, traceId, latencyMs, quality, risk, ... } }
+ * Clients that don't ask keep receiving the bare data object.
+ */
+
+export const SUPPORTED_ENVELOPE_VERSIONS = [1];
+
+/**
+ * Where a result came from
+ */
+export const ResultSource = {
+  LLM: 'llm',             // Generated by the model
+  FALLBACK: 'fallback',   // Static fallback content
+  UNCHANGED: 'unchanged', // Reroll failed, the current section was returned as-is
+};
+
+/**
+ * Builds result metadata for the response envelope.
+ *
+ * @param {string} source - ResultSource value
+ * @param {object} result - Repair loop result (or failed loop info), if any
+ * @param {string} reason - Why the result did not come from the LLM
+ * @returns {object} { source, reason, quality, risk, attempts, normalization }
+ *   (normalization is the duration normalization report for LLM plans, see normalizePlanDurations)
+ */
+export function buildMeta(source, result = null, reason = null) {
+  return {
+    source,
+    reason,
+    quality: {
+      valid: !!result?.valid && result.issues.length === 0,
+      issues: result?.issues || [],
+    },
+    risk: result?.riskAssessment
+      ? { level: result.riskAssessment.level, reasons: result.riskAssessment.reasons }
+      : null,
+    attempts: result?.attempts?.length || 0,
+    normalization: source === ResultSource.LLM ? result?.normalization || null : null,
+  };
+}
+
+// Risk levels from least to most severe (see RiskLevel in services/safety.js)
+const RISK_ORDER = ['safe', 'low_risk', 'medium_risk', 'high_risk'];
+
+/**
+ * Combines the metadata of several generated parts (e.g. program weeks) into one.
+ * The result counts as LLM output only if every part does; issues are prefixed with
+ * the part label and the most severe risk level wins.
+ *
+ * @param {Array<{label: string, meta: object}>} parts - Labeled part metadata
+ * @returns {object} Combined metadata
+ */
+export function combineMeta(parts) {
+  const notFromLLM = parts.filter(({ meta }) => meta.source !== ResultSource.LLM);
+  const risks = parts.map(({ meta }) => meta.risk).filter(Boolean);
+  const worstRisk = risks.reduce(
+    (worst, risk) => (RISK_ORDER.indexOf(risk.level) > RISK_ORDER.indexOf(worst.level) ? risk : worst),
+    risks[0] || null
+  );
+
+  return {
+    source: notFromLLM.length === 0 ? ResultSource.LLM : ResultSource.FALLBACK,
+    reason: notFromLLM.length === 0
+      ? null
+      : `${notFromLLM.length} of ${parts.length} parts used fallback content (${notFromLLM.map(({ label }) => label).join(', ')})`,
+    quality: {
+      valid: parts.every(({ meta }) => meta.quality.valid),
+      issues: parts.flatMap(({ label, meta }) => meta.quality.issues.map((issue) => `${label}: ${issue}`)),
+    },
+    risk: worstRisk
+      ? { level: worstRisk.level, reasons: [...new Set(risks.flatMap((risk) => risk.reasons))] }
+      : null,
+    attempts: parts.reduce((sum, { meta }) => sum + meta.attempts, 0),
+    // Normalization reports are per plan and aren't combined
+    normalization: null,
+  };
+}
+
+/**
+ * Reads the requested envelope version from the query string or header.
+ *
+ * @param {object} req - Express request
+ * @returns {number|null} Requested envelope version, or null for the bare response
+ * @throws {Error} 400 if the requested version is not supported
+ */
+export function getEnvelopeVersion(req) {
+  const requested = req.query?.envelope ?? req.get('X-Response-Envelope');
+  if (requested === undefined || requested === '' || requested === '0') {
+    return null;
+  }
+
+  const version = parseInt(String(requested).replace(/^v/i, ''), 10);
+  if (!SUPPORTED_ENVELOPE_VERSIONS.includes(version)) {
+    const error = new Error(
+      `Unsupported envelope version: ${requested}. Must be one of: ${SUPPORTED_ENVELOPE_VERSIONS.join(', ')}`
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return version;
+}
+
+/**
+ * Express middleware that validates the requested envelope version up front
+ * and stores it on req.envelopeVersion.
+ */
+export function parseEnvelopeVersion(req, res, next) {
+  try {
+    req.envelopeVersion = getEnvelopeVersion(req);
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Sends a generation result, wrapped in the envelope if the client asked for it.
+ *
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {object} data - Response body in the legacy shape (e.g. { plan })
+ * @param {object} meta - Result metadata ({ source, reason, quality, risk, attempts })
+ * @param {number} startTime - Request start time (ms) for latency
+ */
+export function sendResult(req, res, data, meta, startTime) {
+  const version = req.envelopeVersion ?? getEnvelopeVersion(req);
+  if (!version) {
+    res.json(data);
+    return;
+  }
+
+  res.json({
+    envelopeVersion: version,
+    data,
+    meta: {
+      ...meta,
+      traceId: req.traceId,
+      latencyMs: Date.now() - startTime,
+    },
+  });
+}
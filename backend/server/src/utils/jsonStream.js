@@ -0,0 +1,103 @@
+/**
+ * jsonStream.js
+ * Picks completed values out of JSON text while it is still streaming in.
+ *
+ * The model writes its JSON response a few characters at a time. The watcher scans each
+ * chunk once, tracking nesting, object keys and string state, and reports every object or
+ * array value that closes at the requested depth, e.g. each day of `timeBlocks`
+ * (depth 2: ['timeBlocks', 'Mon']) or each top-level section (depth 1: ['prepOutline']).
+ * Values are reported as parsed, before any validation.
+ */
+
+/**
+ * Creates a watcher for streaming JSON text.
+ *
+ * @param {object} options - Watcher options
+ * @param {number} options.depth - Nesting depth of the values to report (1 = top-level keys)
+ * @param {function} options.onValue - (path, value) callback for each completed value
+ * @returns {object} { push(chunk) } Feed text chunks in order
+ */
+export function createJsonStreamWatcher({ depth, onValue }) {
+  let text = '';
+  // Open containers: { type: 'object' | 'array', key, start }
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+  let stringStart = -1;
+  let lastString = null;
+  let pendingKey = null;
+
+  function scan(from) {
+    for (let i = from; i < text.length; i++) {
+      const char = text[i];
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+          lastString = text.slice(stringStart, i + 1);
+        }
+        continue;
+      }
+
+      switch (char) {
+      case '"':
+        inString = true;
+        stringStart = i;
+        break;
+      case ':':
+        // The string just closed was an object key
+        pendingKey = safeParse(lastString);
+        break;
+      case ',':
+        pendingKey = null;
+        break;
+      case '{':
+      case '[': {
+        const parent = stack[stack.length - 1];
+        stack.push({
+          type: char === '{' ? 'object' : 'array',
+          key: parent?.type === 'object' ? pendingKey : null,
+          start: i,
+        });
+        pendingKey = null;
+        break;
+      }
+      case '}':
+      case ']': {
+        const closed = stack.pop();
+        if (closed && stack.length === depth) {
+          const path = [...stack.slice(1), closed].map((container) => container.key);
+          const value = safeParse(text.slice(closed.start, i + 1));
+          if (value !== undefined) {
+            onValue(path, value);
+          }
+        }
+        pendingKey = null;
+        break;
+      }
+      default:
+        break;
+      }
+    }
+  }
+
+  return {
+    push(chunk) {
+      const from = text.length;
+      text += chunk;
+      scan(from);
+    },
+  };
+}
+
+function safeParse(json) {
+  try {
+    return JSON.parse(json);
+  } catch {
+    return undefined;
+  }
+}
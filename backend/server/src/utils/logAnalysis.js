@@ -70,6 +70,12 @@ export async function analyzeEvalLogs() {
     const avgResponseLength = logs.reduce((sum, log) => sum + (log.responseLength || 0), 0) / totalLogs;
     const withURLs = logs.filter(log => log.hasURLs).length;
     
+    const avgAttempts = logs.reduce((sum, log) => sum + (log.attemptCount || 1), 0) / totalLogs;
+    const retriedCount = logs.filter(log => (log.attemptCount || 1) > 1).length;
+    const repairedCount = logs.filter(log => log.repairOutcome === 'repaired').length;
+    const repairFailedCount = logs.filter(log => log.repairOutcome === 'failed').length;
+    const cancelledCount = logs.filter(log => log.repairOutcome === 'cancelled').length;
+    
     const report = {
       summary: {
         totalInteractions: totalLogs,
@@ -95,6 +101,17 @@ export async function analyzeEvalLogs() {
       safety: {
         highRiskCount,
         highRiskRate: parseFloat(highRiskRate.toFixed(2))
+      },
+      repair: {
+        avgAttempts: parseFloat(avgAttempts.toFixed(2)),
+        retriedCount,
+        retryRate: parseFloat(((retriedCount / totalLogs) * 100).toFixed(2)),
+        repairedCount,
+        failedCount: repairFailedCount
+      },
+      cancellation: {
+        cancelledCount,
+        cancelRate: parseFloat(((cancelledCount / totalLogs) * 100).toFixed(2))
       }
     };
     
@@ -1,75 +1,293 @@
 /**
  * normalizeDurations.js
  * Normalizes time block durations to ensure they sum to the daily time budget.
+ *
+ * Durations are snapped to a fixed increment (15 minutes by default) and kept within
+ * the 0.25-2.0h per-block bounds from the generation prompts, with each study day's
+ * Applications/Networking block kept at 0.5h or more. A day with more blocks than its
+ * budget can hold has its smallest blocks merged into a neighbor; a day whose blocks
+ * can't reach the budget has its longest blocks split into numbered parts ("(part 2)").
+ * Every change is reported.
  */
 
+import config from '../config.js';
 import logger from './logger.js';
+import { resolveDayBudgets } from './constraints.js';
+import { BlockCategory, categorizeLabel } from './categories.js';
+
+const DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Per-block bounds, matching the prompts and the plan schema's minimum
+export const MIN_BLOCK_HOURS = 0.25;
+export const MAX_BLOCK_HOURS = 2;
+
+// Blocks every study day needs, with their minimum length
+export const REQUIRED_MINIMUM_HOURS = {
+  [BlockCategory.APPLICATIONS]: 0.5,
+};
+
+// plan.schema.json limit for block labels
+const MAX_LABEL_LENGTH = 80;
+// Split parts are labeled "<label> (part 2)", "(part 3)", ...; "(cont.)" is what older versions wrote
+const PART_SUFFIX = /\s+\((?:part (\d+)|cont\.)\)$/i;
+// Parts of a long label have their text cut to fit the suffix, so parts are matched on a prefix
+const PART_MATCH_LENGTH = MAX_LABEL_LENGTH - ' (part 10)'.length;
 
 /**
- * Normalizes durations for a day's time blocks to ensure they sum exactly to the daily budget.
- * Uses proportional redistribution if needed.
- * 
+ * Converts hours and bounds into whole increments ("units") for one normalization run.
+ */
+function resolveSettings({
+  incrementMinutes = config.durationIncrementMinutes,
+  minBlockHours = MIN_BLOCK_HOURS,
+  maxBlockHours = MAX_BLOCK_HOURS,
+  requiredMinimums = REQUIRED_MINIMUM_HOURS,
+} = {}) {
+  const toUnits = (hours, round = Math.round) => round(parseFloat(((hours * 60) / incrementMinutes).toFixed(6)));
+  const minUnits = Math.max(1, toUnits(minBlockHours, Math.ceil));
+  const maxUnits = Math.max(minUnits, toUnits(maxBlockHours, Math.floor));
+
+  return {
+    incrementMinutes,
+    minUnits,
+    maxUnits,
+    requiredUnits: Object.fromEntries(Object.entries(requiredMinimums).map(([category, hours]) => [
+      category,
+      Math.min(maxUnits, Math.max(minUnits, toUnits(hours, Math.ceil))),
+    ])),
+    toUnits,
+    toHours: (units) => parseFloat(((units * incrementMinutes) / 60).toFixed(2)),
+  };
+}
+
+function sumHours(blocks) {
+  return parseFloat(blocks.reduce((sum, block) => sum + block.durationHours, 0).toFixed(2));
+}
+
+/**
+ * Merges the smallest blocks into a neighbor until every block's minimum fits in the budget.
+ * Blocks with a required minimum are never merged away.
+ */
+function mergeBlocks(items, targetUnits, changes) {
+  const minimumTotal = () => items.reduce((sum, item) => sum + item.min, 0);
+
+  while (items.length > 1 && minimumTotal() > targetUnits) {
+    const candidates = items.filter((item) => !item.required);
+    if (candidates.length === 0) break;
+
+    const smallest = candidates.reduce((min, item) => (item.weight < min.weight ? item : min));
+    const index = items.indexOf(smallest);
+
+    // Prefer a neighbor on the same topic, then the nearest block without a required minimum
+    const byDistance = items
+      .filter((item) => item !== smallest)
+      .sort((a, b) => Math.abs(items.indexOf(a) - index) - Math.abs(items.indexOf(b) - index));
+    const into = byDistance.find((item) => item.category === smallest.category && !item.required
+      && Math.abs(items.indexOf(item) - index) === 1)
+      || byDistance.find((item) => !item.required)
+      || byDistance[0];
+
+    into.weight += smallest.weight;
+    items.splice(index, 1);
+    changes.push({
+      type: 'merged',
+      label: into.block.label,
+      mergedLabel: smallest.block.label,
+      message: `Merged "${smallest.block.label}" into "${into.block.label}" to fit the day's budget`,
+    });
+  }
+}
+
+/**
+ * Splits a label into the block it belongs to and its part number (1 for the block itself).
+ */
+function parsePartLabel(label) {
+  const match = label.match(PART_SUFFIX);
+  if (!match) {
+    return { base: label, part: 1 };
+  }
+  return { base: label.slice(0, match.index), part: match[1] ? Number(match[1]) : 2 };
+}
+
+/**
+ * Label for the next part of a block, numbered after every part of it already in the day.
+ */
+function nextPartLabel(label, items) {
+  const { base } = parsePartLabel(label);
+  const part = 1 + Math.max(...items
+    .map((item) => parsePartLabel(item.block.label))
+    .filter((parsed) => parsed.base.slice(0, PART_MATCH_LENGTH) === base.slice(0, PART_MATCH_LENGTH))
+    .map((parsed) => parsed.part));
+  const suffix = ` (part ${part})`;
+  return `${base.slice(0, MAX_LABEL_LENGTH - suffix.length)}${suffix}`;
+}
+
+/**
+ * Splits the longest blocks in two until the blocks can reach the budget without
+ * exceeding the per-block maximum.
+ */
+function splitBlocks(items, targetUnits, settings, changes) {
+  while (items.length * settings.maxUnits < targetUnits) {
+    const longest = items.reduce((max, item) => (item.weight > max.weight ? item : max));
+    const label = nextPartLabel(longest.block.label, items);
+
+    // The new part goes after the block's other parts, so parts stay in order
+    longest.weight /= 2;
+    items.splice(items.findLastIndex((item) => item.source === longest.source) + 1, 0, {
+      ...longest,
+      block: { ...longest.block, label },
+      required: false,
+      min: settings.minUnits,
+      split: true,
+    });
+    changes.push({
+      type: 'split',
+      label: longest.block.label,
+      newLabel: label,
+      message: `Split "${longest.block.label}" in two to stay within the ${settings.toHours(settings.maxUnits)}h block limit`,
+    });
+  }
+}
+
+/**
+ * Shares the budget between blocks in proportion to their original durations, in whole
+ * units and within each block's bounds.
+ */
+function allocateUnits(items, targetUnits, maxUnits) {
+  // Ideal (fractional) shares: blocks pushed past a bound are fixed at it and the
+  // rest of the budget is shared again among the others
+  const ideal = new Array(items.length).fill(null);
+  for (;;) {
+    const free = items.map((item, i) => i).filter((i) => ideal[i] === null);
+    if (free.length === 0) break;
+
+    const fixedUnits = ideal.reduce((sum, value) => sum + (value ?? 0), 0);
+    const freeWeight = free.reduce((sum, i) => sum + items[i].weight, 0);
+    const share = (i) => ((targetUnits - fixedUnits) * items[i].weight) / freeWeight;
+
+    const below = free.filter((i) => share(i) < items[i].min);
+    const above = free.filter((i) => share(i) > maxUnits);
+    if (below.length > 0) {
+      below.forEach((i) => { ideal[i] = items[i].min; });
+    } else if (above.length > 0) {
+      above.forEach((i) => { ideal[i] = maxUnits; });
+    } else {
+      free.forEach((i) => { ideal[i] = share(i); });
+    }
+  }
+
+  const units = items.map((item, i) => Math.min(maxUnits, Math.max(item.min, Math.floor(ideal[i]))));
+
+  // Hand out (or take back) one unit at a time, to the block furthest from its ideal share
+  let difference = targetUnits - units.reduce((sum, value) => sum + value, 0);
+  while (difference !== 0) {
+    const step = Math.sign(difference);
+    let best = -1;
+    for (let i = 0; i < items.length; i++) {
+      const canMove = step > 0 ? units[i] < maxUnits : units[i] > items[i].min;
+      if (canMove && (best < 0 || (ideal[i] - units[i]) * step > (ideal[best] - units[best]) * step)) {
+        best = i;
+      }
+    }
+    if (best < 0) break;
+    units[best] += step;
+    difference -= step;
+  }
+
+  return units;
+}
+
+/**
+ * Normalizes one day's time blocks to its budget. Pinned blocks keep their durations
+ * and the other blocks share what is left of the budget.
+ *
  * @param {Array} blocks - Array of time blocks with durationHours
- * @param {number} targetHours - Target total hours per day
- * @returns {Array} Normalized blocks with corrected durationHours
+ * @param {number} targetHours - Target total hours for the day
+ * @param {object} settings - resolveSettings result
+ * @param {string[]} pinnedLabels - Labels of blocks that must not change
+ * @returns {object} { blocks, changes } Normalized blocks in their original order and what changed
  */
-function normalizeDayBlockDurations(blocks, targetHours) {
-  if (!blocks || blocks.length === 0) {
-    return blocks;
+function normalizeDayBlockDurations(blocks, targetHours, settings, pinnedLabels = []) {
+  const isPinned = (block) => pinnedLabels.includes(block.label);
+  const pinned = blocks.filter(isPinned);
+  const changes = [];
+
+  if (pinned.length === blocks.length) {
+    return { blocks, changes };
   }
 
-  // Calculate current sum
-  const currentSum = blocks.reduce((sum, block) => sum + block.durationHours, 0);
+  const targetUnits = settings.toUnits(targetHours - sumHours(pinned));
 
-  // Always normalize, even if close, to ensure exact precision
-  // This ensures durations always sum exactly to the target
-  // If already very close (within 0.001 hours tolerance), we still need to ensure exact sum
+  // Pinned blocks fill the whole day
+  if (targetUnits < settings.minUnits) {
+    for (const block of blocks.filter((item) => !isPinned(item))) {
+      changes.push({ type: 'dropped', label: block.label, message: `Dropped "${block.label}": pinned blocks fill the day's budget` });
+    }
+    return { blocks: pinned, changes };
+  }
+
+  const items = blocks
+    .map((block, source) => ({ block, source, category: categorizeLabel(block.label) }))
+    .filter(({ block }) => !isPinned(block))
+    .map((item) => ({ ...item, weight: item.block.durationHours, min: settings.minUnits, required: false }));
+
+  // Required minimums apply to the first matching block, unless a pinned block covers them
+  const pinnedCategories = new Set(pinned.map((block) => categorizeLabel(block.label)));
+  for (const [category, units] of Object.entries(settings.requiredUnits)) {
+    const item = items.find((candidate) => candidate.category === category);
+    if (item && !pinnedCategories.has(category)) {
+      item.required = true;
+      item.min = Math.min(units, targetUnits);
+    }
+  }
 
-  // Calculate scaling factor
-  const scaleFactor = targetHours / currentSum;
+  mergeBlocks(items, targetUnits, changes);
+  splitBlocks(items, targetUnits, settings, changes);
+  const units = allocateUnits(items, targetUnits, settings.maxUnits);
 
-  // Apply scaling to each block
-  const normalized = blocks.map((block) => {
-    const normalizedDuration = block.durationHours * scaleFactor;
-    return {
-      ...block,
-      durationHours: parseFloat(normalizedDuration.toFixed(2)),
-    };
+  items.forEach((item, i) => {
+    const fromHours = item.block.durationHours;
+    const toHours = settings.toHours(units[i]);
+    item.block = { ...item.block, durationHours: toHours };
+    if (!item.split && toHours !== fromHours) {
+      changes.push({
+        type: 'resized',
+        label: item.block.label,
+        fromHours,
+        toHours,
+        message: `Resized "${item.block.label}" from ${fromHours}h to ${toHours}h`,
+      });
+    }
   });
 
-  // Ensure exact sum by adjusting the last block if needed
-  const finalSum = normalized.reduce((sum, block) => sum + block.durationHours, 0);
-  const difference = Math.abs(finalSum - targetHours);
-
-  if (difference > 0.01) {
-    // Fine-tune the last block to ensure exact sum
-    const sumWithoutLast = normalized.slice(0, -1).reduce((sum, block) => sum + block.durationHours, 0);
-    const lastBlockTarget = targetHours - sumWithoutLast;
-    normalized[normalized.length - 1].durationHours = parseFloat(Math.max(0.1, lastBlockTarget).toFixed(2));
-    
-    logger.debug(
-      { 
-        beforeSum, 
-        afterSum: normalized.reduce((sum, block) => sum + block.durationHours, 0),
-        targetHours,
-        adjustment: lastBlockTarget
-      }, 
-      'Adjusted final block for exact sum'
-    );
-  }
+  // Put pinned blocks back in place; split parts follow the block they came from
+  const normalized = blocks.flatMap((block, source) => (isPinned(block)
+    ? [block]
+    : items.filter((item) => item.source === source).map((item) => item.block)));
 
-  return normalized;
+  return { blocks: normalized, changes };
 }
 
 /**
  * Normalizes all time blocks in a plan to ensure daily budgets are met.
+ * Each day is scaled to its own budget: timeBudgetHoursByDay when set, otherwise
+ * timeBudgetHoursPerDay, lowered by per-day caps from the profile's constraints
+ * (e.g. "no more than 1h on Fridays").
  * 
  * @param {object} plan - The generated plan with timeBlocks
- * @param {object} profile - User profile with timeBudgetHoursPerDay
+ * @param {object} profile - User profile with timeBudgetHoursPerDay (and optionally timeBudgetHoursByDay)
  * @param {object} traceId - Trace ID for logging
- * @returns {object} Plan with normalized durations
+ * @param {object} options - Optional scope and bounds
+ * @param {string[]} options.days - Only normalize these days; others are kept as-is
+ * @param {object} options.pinned - Pinned block labels by day; their durations are kept
+ * @param {number} options.incrementMinutes - Durations are multiples of this (default config.durationIncrementMinutes)
+ * @param {number} options.minBlockHours - Shortest allowed block (default 0.25)
+ * @param {number} options.maxBlockHours - Longest allowed block (default 2)
+ * @param {object} options.requiredMinimums - Minimum hours by block category (default 0.5h applications)
+ * @returns {object} { plan, report } Plan with normalized durations, and
+ *   report: { incrementMinutes, days: { [day]: { targetHours, beforeHours, afterHours } }, changes }
+ *   (null if normalization was skipped)
  */
-export function normalizePlanDurations(plan, profile, traceId = null) {
+export function normalizePlanDurations(plan, profile, traceId = null, options = {}) {
   if (!plan || !plan.timeBlocks || !profile || !profile.timeBudgetHoursPerDay) {
     logger.warn(
       { 
@@ -81,83 +299,67 @@ export function normalizePlanDurations(plan, profile, traceId = null) {
       },
       'Normalization skipped - missing required data'
     );
-    return plan;
+    return { plan, report: null };
   }
 
-  const targetHours = profile.timeBudgetHoursPerDay;
+  const { days: onlyDays = null, pinned = {}, ...bounds } = options;
+  const settings = resolveSettings(bounds);
+  const dayBudgets = resolveDayBudgets(profile);
   
   logger.info(
     { 
       traceId, 
-      targetHours,
+      dayBudgets,
+      incrementMinutes: settings.incrementMinutes,
       dayCount: Object.keys(plan.timeBlocks).length 
     },
     'Starting duration normalization'
   );
-  const days = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
-  let totalCorrections = 0;
 
-  // Normalize each day
   const normalizedPlan = {
     ...plan,
     timeBlocks: {},
   };
+  const report = { incrementMinutes: settings.incrementMinutes, days: {}, changes: [] };
 
-  for (const day of days) {
+  for (const day of DAYS) {
     const blocks = plan.timeBlocks[day] || [];
-    
-    if (blocks.length === 0) {
-      normalizedPlan.timeBlocks[day] = [];
+
+    if ((onlyDays && !onlyDays.includes(day)) || blocks.length === 0) {
+      normalizedPlan.timeBlocks[day] = blocks;
       continue;
     }
 
-    const beforeSum = blocks.reduce((sum, block) => sum + block.durationHours, 0);
-    
-    logger.debug(
-      { 
-        traceId, 
-        day, 
-        beforeSum, 
-        targetHours, 
-        blockCount: blocks.length,
-        blocks: blocks.map(b => b.durationHours)
-      },
-      'Processing day'
-    );
-    
-    const normalized = normalizeDayBlockDurations(blocks, targetHours);
-    const afterSum = normalized.reduce((sum, block) => sum + block.durationHours, 0);
-
+    const targetHours = dayBudgets[day];
+    const { blocks: normalized, changes } = normalizeDayBlockDurations(blocks, targetHours, settings, pinned[day] || []);
     normalizedPlan.timeBlocks[day] = normalized;
-    
-    // Always log the results to verify normalization
-    const finalCheck = normalized.reduce((sum, block) => sum + block.durationHours, 0);
-    totalCorrections++;
-    
+
+    const dayReport = { targetHours, beforeHours: sumHours(blocks), afterHours: sumHours(normalized) };
+    report.days[day] = dayReport;
+    report.changes.push(...changes.map((change) => ({ day, ...change })));
+
     logger.info(
       { 
         traceId, 
         day, 
-        beforeSum, 
-        finalCheck,
-        targetHours,
+        ...dayReport,
+        changes: changes.length,
         normalized: normalized.map(b => b.durationHours)
       },
       'Normalized day durations'
     );
   }
 
-  if (totalCorrections > 0) {
-    logger.info(
-      { 
-        traceId, 
-        totalCorrections 
-      },
-      'Normalized durations across all days'
-    );
-  }
+  logger.info(
+    { 
+      traceId, 
+      days: Object.keys(report.days).length,
+      changes: report.changes.length
+    },
+    'Normalized durations across all days'
+  );
 
-  return normalizedPlan;
+  return { plan: normalizedPlan, report };
 }
 
 /**
@@ -0,0 +1,266 @@
+/**
+ * preferences.js
+ * Generation preferences (preferences.schema.json): prompt text, normalizer bounds and
+ * post-generation checks.
+ *
+ * Every preference is stated in the routine prompt and then checked on the result:
+ * - focusWeights: each weighted category gets roughly its share of the week's hours, not
+ *   counting the applications time every study day needs anyway. Categories are the v2
+ *   plan ones (PlanCategory), so system design can be weighted apart from role prep
+ * - intensity: number of daily tasks per study day
+ * - blockLengthMinutes: enforced by the duration normalizer
+ * - learningStyle: most resources match the style (video, reading or hands-on)
+ * - difficultyTarget: problems are pitched at the target difficulty
+ * - stack: the plan uses the preferred languages/technologies
+ * Misses are reported as quality issues so the repair loop can re-prompt.
+ */
+
+import { PlanCategory, PLAN_CATEGORY_NAMES, matchPlanCategory } from './categories.js';
+import { MIN_BLOCK_HOURS, MAX_BLOCK_HOURS, REQUIRED_MINIMUM_HOURS } from './normalizeDurations.js';
+
+const DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Daily task counts per intensity level
+export const INTENSITY_TASKS = {
+  light: { min: 2, max: 3 },
+  moderate: { min: 3, max: 4 },
+  intense: { min: 4, max: 5 },
+};
+
+const INTENSITY_DESCRIPTIONS = {
+  light: 'light: a sustainable pace with review and warm-up work',
+  moderate: 'moderate: steady practice with some stretch goals',
+  intense: 'intense: dense, challenging days with timed practice',
+};
+
+// Resource titles or URLs that fit each learning style
+const LEARNING_STYLE_PATTERNS = {
+  video: /(youtube|youtu\.be|video|course|lecture|udemy|coursera|egghead)/i,
+  reading: /(book|docs|documentation|article|blog|guide|handbook|primer|\.pdf)/i,
+  'hands-on': /(leetcode|neetcode|hackerrank|exercism|codewars|kata|exercise|practice|lab|playground|github|project)/i,
+};
+
+const LEARNING_STYLE_DESCRIPTIONS = {
+  video: 'video (YouTube, video courses)',
+  reading: 'reading (books, docs, articles)',
+  'hands-on': 'hands-on (coding exercises, projects, labs)',
+};
+
+const DIFFICULTY_PATTERN = /\b(easy|medium|hard)\b/gi;
+
+// How far below its preferred share a weighted category may fall
+const FOCUS_TOLERANCE = 0.15;
+
+/**
+ * Preferred share of study time per weighted category (weights scaled to sum to 1).
+ *
+ * @param {object} focusWeights - Weights by PlanCategory (0-1)
+ * @returns {object} Shares by category
+ */
+export function resolveFocusShares(focusWeights = {}) {
+  const total = Object.values(focusWeights).reduce((sum, weight) => sum + weight, 0);
+  if (total === 0) {
+    return {};
+  }
+  return Object.fromEntries(Object.entries(focusWeights).map(([category, weight]) => [category, weight / total]));
+}
+
+/**
+ * Block length bounds for the duration normalizer.
+ *
+ * @param {object} preferences - Validated preferences
+ * @returns {object} { minBlockHours, maxBlockHours }
+ */
+export function resolveBlockBounds(preferences = {}) {
+  const { min, max } = preferences?.blockLengthMinutes || {};
+  return {
+    minBlockHours: min ? min / 60 : MIN_BLOCK_HOURS,
+    maxBlockHours: max ? max / 60 : MAX_BLOCK_HOURS,
+  };
+}
+
+/**
+ * Preference text for prompts, one requirement per preference.
+ *
+ * @param {object} preferences - Validated preferences
+ * @returns {string} Prompt text starting with a newline, or '' if there are no preferences
+ */
+export function buildPreferencesText(preferences = {}) {
+  const lines = [];
+  const { focusWeights, intensity, blockLengthMinutes, learningStyle, difficultyTarget, stack } = preferences || {};
+
+  const shares = resolveFocusShares(focusWeights);
+  if (Object.keys(shares).length > 0) {
+    const split = Object.entries(shares)
+      .map(([category, share]) => `${PLAN_CATEGORY_NAMES[category]} ${Math.round(share * 100)}%`)
+      .join(', ');
+    lines.push(`Split the week's study time beyond the required daily applications block roughly: ${split}`);
+  }
+  if (intensity) {
+    const { min, max } = INTENSITY_TASKS[intensity];
+    lines.push(`Intensity ${INTENSITY_DESCRIPTIONS[intensity]}; ${min}-${max} daily tasks per study day`);
+  }
+  if (blockLengthMinutes) {
+    const { minBlockHours, maxBlockHours } = resolveBlockBounds(preferences);
+    lines.push(`Keep every time block between ${minBlockHours * 60} and ${maxBlockHours * 60} minutes`);
+  }
+  if (learningStyle) {
+    lines.push(`Learning style: ${LEARNING_STYLE_DESCRIPTIONS[learningStyle]}; most resources and tasks should fit it`);
+  }
+  if (difficultyTarget) {
+    lines.push(`Pitch practice problems at ${difficultyTarget} difficulty (e.g. LeetCode ${difficultyTarget})`);
+  }
+  if (stack?.length) {
+    lines.push(`Use these languages/technologies for coding and project work: ${stack.join(', ')}`);
+  }
+
+  return lines.length > 0
+    ? `\nPreferences (must be followed):\n${lines.map((line) => `  - ${line}`).join('\n')}`
+    : '';
+}
+
+function categorizePlanLabel(label) {
+  return matchPlanCategory(label) || PlanCategory.ROLE;
+}
+
+function checkFocus(plan, focusWeights) {
+  const hours = {};
+  let total = 0;
+  for (const day of DAYS) {
+    const blocks = plan.timeBlocks[day] || [];
+    for (const block of blocks) {
+      const category = categorizePlanLabel(block.label);
+      hours[category] = (hours[category] || 0) + block.durationHours;
+      total += block.durationHours;
+    }
+
+    // The required daily minimums are not the user's to split, so shares leave them out
+    for (const [category, minimum] of Object.entries(REQUIRED_MINIMUM_HOURS)) {
+      const dayHours = blocks
+        .filter((block) => categorizePlanLabel(block.label) === category)
+        .reduce((sum, block) => sum + block.durationHours, 0);
+      const required = Math.min(dayHours, minimum);
+      hours[category] = (hours[category] || 0) - required;
+      total -= required;
+    }
+  }
+  if (total <= 0) {
+    return [];
+  }
+
+  const issues = [];
+  for (const [category, share] of Object.entries(resolveFocusShares(focusWeights))) {
+    const actual = (hours[category] || 0) / total;
+    if (actual < share - FOCUS_TOLERANCE) {
+      issues.push(
+        `Week spends ${Math.round(actual * 100)}% of its time beyond the daily applications block on ${PLAN_CATEGORY_NAMES[category]}, preferred about ${Math.round(share * 100)}%`
+      );
+    }
+  }
+
+  // Applications time is required every day, so a zero weight can't remove it
+  for (const [category, weight] of Object.entries(focusWeights)) {
+    if (weight === 0 && category !== PlanCategory.APPLICATIONS && hours[category] > 0) {
+      issues.push(`Week has ${PLAN_CATEGORY_NAMES[category]} blocks, but its focus weight is 0`);
+    }
+  }
+
+  return issues;
+}
+
+function checkIntensity(plan, intensity, days) {
+  const { min, max } = INTENSITY_TASKS[intensity];
+  return days
+    .filter((day) => (plan.timeBlocks[day] || []).length > 0)
+    .filter((day) => {
+      const count = (plan.dailyTasks[day] || []).length;
+      return count < min || count > max;
+    })
+    .map((day) => `${day}: has ${(plan.dailyTasks[day] || []).length} daily tasks, ${intensity} intensity calls for ${min}-${max}`);
+}
+
+function checkBlockLength(plan, preferences, days) {
+  const { minBlockHours, maxBlockHours } = resolveBlockBounds(preferences);
+  const issues = [];
+  for (const day of days) {
+    for (const block of plan.timeBlocks[day] || []) {
+      if (block.durationHours < minBlockHours - 0.001 || block.durationHours > maxBlockHours + 0.001) {
+        issues.push(
+          `${day}: "${block.label}" is ${Math.round(block.durationHours * 60)} minutes, outside the preferred ${minBlockHours * 60}-${maxBlockHours * 60}`
+        );
+      }
+    }
+  }
+  return issues;
+}
+
+function checkLearningStyle(plan, learningStyle) {
+  const resources = plan.resources || [];
+  if (resources.length === 0) {
+    return [];
+  }
+
+  const pattern = LEARNING_STYLE_PATTERNS[learningStyle];
+  const matching = resources.filter((resource) => pattern.test(`${resource.title} ${resource.url}`)).length;
+  return matching < Math.ceil(resources.length / 2)
+    ? [`Only ${matching} of ${resources.length} resources fit the ${learningStyle} learning style`]
+    : [];
+}
+
+function planTexts(plan, days = DAYS) {
+  return days.flatMap((day) => [
+    ...(plan.timeBlocks[day] || []).map((block) => block.label),
+    ...(plan.dailyTasks[day] || []),
+  ]);
+}
+
+function checkDifficulty(plan, difficultyTarget, days) {
+  const mentioned = new Set(
+    planTexts(plan, days).flatMap((text) => (text.match(DIFFICULTY_PATTERN) || []).map((word) => word.toLowerCase()))
+  );
+  return mentioned.size > 0 && !mentioned.has(difficultyTarget)
+    ? [`Plan mentions ${[...mentioned].join('/')} problems but none at the ${difficultyTarget} target`]
+    : [];
+}
+
+/**
+ * Whether text mentions a stack item as a whole word ("Go" is not found in "algorithm").
+ */
+function mentionsStackItem(text, item) {
+  const escaped = item.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^a-z0-9])${escaped}(?![a-z0-9+#])`, 'i').test(text);
+}
+
+function checkStack(plan, stack) {
+  const text = [...planTexts(plan), ...(plan.milestones || [])].join('\n');
+  return stack.some((item) => mentionsStackItem(text, item))
+    ? []
+    : [`Plan never uses the preferred stack (${stack.join(', ')})`];
+}
+
+/**
+ * Checks a plan against the generation preferences.
+ *
+ * @param {object} plan - Plan matching plan.schema.json
+ * @param {object} preferences - Validated preferences
+ * @param {object} options - Optional scope
+ * @param {string[]} options.days - Only check these days (e.g. a day-scoped reroll); focus
+ *   shares are a property of the whole week, so they aren't checked then
+ * @returns {string[]} Issues (empty if the plan follows the preferences)
+ */
+export function checkPreferences(plan, preferences, { days } = {}) {
+  if (!preferences || !plan?.timeBlocks) {
+    return [];
+  }
+
+  const checkDays = days || DAYS;
+  const { focusWeights, intensity, blockLengthMinutes, learningStyle, difficultyTarget, stack } = preferences;
+  return [
+    ...(focusWeights && !days ? checkFocus(plan, focusWeights) : []),
+    ...(intensity && plan.dailyTasks ? checkIntensity(plan, intensity, checkDays) : []),
+    ...(blockLengthMinutes ? checkBlockLength(plan, preferences, checkDays) : []),
+    ...(learningStyle ? checkLearningStyle(plan, learningStyle) : []),
+    ...(difficultyTarget && plan.dailyTasks ? checkDifficulty(plan, difficultyTarget, checkDays) : []),
+    ...(stack?.length && plan.dailyTasks ? checkStack(plan, stack) : []),
+  ];
+}
@@ -0,0 +1,54 @@
+/**
+ * sse.js
+ * Server-Sent Events responses.
+ *
+ * Events are written as `event: <name>\ndata: <json>\n\n`. A comment line is sent every
+ * config.sseHeartbeatMs so mobile networks and proxies don't drop a quiet connection
+ * while the model is still thinking.
+ */
+
+import config from '../config.js';
+
+/**
+ * Starts an event stream on a response.
+ *
+ * @param {object} res - Express response
+ * @param {object} options - Stream options
+ * @param {number} options.heartbeatMs - Heartbeat interval in milliseconds
+ * @returns {object} { send(event, data), close(), closed } Event stream
+ */
+export function openEventStream(res, { heartbeatMs = config.sseHeartbeatMs } = {}) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), heartbeatMs);
+  const stop = () => {
+    closed = true;
+    clearInterval(heartbeat);
+  };
+  res.on('close', stop);
+
+  return {
+    send(event, data) {
+      if (!closed) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    },
+    close() {
+      if (!closed) {
+        stop();
+        res.end();
+      }
+    },
+    get closed() {
+      return closed;
+    },
+  };
+}
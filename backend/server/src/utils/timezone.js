@@ -0,0 +1,80 @@
+/**
+ * timezone.js
+ * IANA timezone helpers built on Intl, so no timezone database dependency is needed.
+ */
+
+/**
+ * Returns true if tz is an IANA timezone name the runtime knows (e.g. "America/New_York").
+ * @param {string} tz - Timezone name
+ * @returns {boolean} Whether the timezone is valid
+ */
+export function isValidTimeZone(tz) {
+  if (typeof tz !== 'string' || !tz) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock date and time parts of an instant in a timezone.
+ * @param {Date} date - Instant
+ * @param {string} tz - IANA timezone
+ * @returns {object} { year, month, day, hour, minute, second }
+ */
+export function getZonedParts(date, tz) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: tz,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+
+  const value = (type) => parseInt(parts.find((part) => part.type === type).value, 10);
+  return {
+    year: value('year'),
+    month: value('month'),
+    day: value('day'),
+    hour: value('hour'),
+    minute: value('minute'),
+    second: value('second'),
+  };
+}
+
+/**
+ * Offset of a timezone from UTC at an instant, in milliseconds (positive east of UTC).
+ */
+function getOffsetMs(date, tz) {
+  const p = getZonedParts(date, tz);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Converts a wall-clock date and time in a timezone to the UTC instant.
+ * Times skipped by a DST change resolve to the same wall time after the change.
+ *
+ * @param {string} dateString - Local date (YYYY-MM-DD)
+ * @param {string} timeString - Local time (HH:MM)
+ * @param {string} tz - IANA timezone
+ * @returns {Date} UTC instant
+ */
+export function zonedTimeToUtc(dateString, timeString, tz) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const [hour, minute] = timeString.split(':').map(Number);
+  const wallAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Two passes settle the offset around DST transitions
+  const firstPass = wallAsUtc - getOffsetMs(new Date(wallAsUtc), tz);
+  const secondPass = wallAsUtc - getOffsetMs(new Date(firstPass), tz);
+
+  // A wall time skipped by a DST gap matches neither pass; take the later instant
+  const parts = getZonedParts(new Date(secondPass), tz);
+  return new Date(parts.hour === hour && parts.minute === minute ? secondPass : Math.max(firstPass, secondPass));
+}
@@ -54,3 +54,20 @@ export class ValidationError extends Error {
   }
 }
 
+
+/**
+ * Formats Ajv errors as short human-readable strings, e.g.
+ * "/timeBlocks/Mon/0/durationHours must be >= 0.25".
+ * @param {array} errors - Ajv validator errors
+ * @returns {string[]} Formatted error messages
+ */
+export function formatValidationErrors(errors) {
+  if (!errors) return [];
+  return errors.map((err) => {
+    const path = err.instancePath || '/';
+    const extra = err.params?.additionalProperty
+      ? `: ${err.params.additionalProperty}`
+      : '';
+    return `${path} ${err.message}${extra}`;
+  });
+}
@@ -0,0 +1,101 @@
+/**
+ * week.js
+ * Week date helpers. Dates are calendar days in YYYY-MM-DD form, computed in UTC.
+ * Weeks start on Monday; "today" depends on the user's timezone (see todayIn).
+ */
+
+import { getZonedParts } from './timezone.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+/**
+ * Returns the Monday (YYYY-MM-DD, UTC) of the week containing date.
+ * @param {Date} date - Any date
+ * @returns {string} Monday of that week
+ */
+export function mondayOf(date = new Date()) {
+  const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+  return monday.toISOString().split('T')[0];
+}
+
+/**
+ * Today's date (YYYY-MM-DD) on the user's wall clock.
+ * @param {string} timezone - IANA timezone (UTC if omitted)
+ * @param {Date} now - Current instant
+ * @returns {string} Local date
+ */
+export function todayIn(timezone = 'UTC', now = new Date()) {
+  const { year, month, day } = getZonedParts(now, timezone || 'UTC');
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Day name (Mon-Sun) of a YYYY-MM-DD date.
+ * @param {string} dateString - Date string
+ * @returns {string} Day name
+ */
+export function dayNameOf(dateString) {
+  return DAY_NAMES[(parseDate(dateString).getUTCDay() + 6) % 7];
+}
+
+/**
+ * Returns true if a YYYY-MM-DD date is a Monday.
+ * @param {string} dateString - Date string
+ * @returns {boolean} Whether the date is a valid Monday
+ */
+export function isMonday(dateString) {
+  return parseDate(dateString)?.getUTCDay() === 1;
+}
+
+/**
+ * Snaps a plan's weekOf to the nearest Monday. Older servers anchored weeks on their local
+ * clock, which labelled some weeks with the Sunday before (servers east of UTC); rounding to
+ * the nearest Monday maps those back to the week they were generated for.
+ * @param {string} weekOf - Week start date (YYYY-MM-DD)
+ * @returns {string} Monday (YYYY-MM-DD)
+ */
+export function normalizeWeekOf(weekOf) {
+  const date = parseDate(weekOf);
+  const offset = (date.getUTCDay() + 6) % 7;
+  const shift = offset <= 3 ? -offset : 7 - offset;
+  return new Date(date.getTime() + shift * DAY_MS).toISOString().split('T')[0];
+}
+
+/**
+ * Parses a YYYY-MM-DD date as UTC midnight.
+ * @param {string} dateString - Date string
+ * @returns {Date|null} Date, or null if invalid
+ */
+export function parseDate(dateString) {
+  if (typeof dateString !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dateString)) {
+    return null;
+  }
+  const date = new Date(`${dateString}T00:00:00Z`);
+  if (Number.isNaN(date.getTime()) || date.toISOString().split('T')[0] !== dateString) {
+    return null;
+  }
+  return date;
+}
+
+/**
+ * Adds whole weeks to a week start date.
+ * @param {string} weekOf - Week start date (YYYY-MM-DD)
+ * @param {number} weeks - Number of weeks to add (may be negative)
+ * @returns {string} Shifted date (YYYY-MM-DD)
+ */
+export function addWeeks(weekOf, weeks) {
+  const date = parseDate(weekOf);
+  return new Date(date.getTime() + weeks * 7 * DAY_MS).toISOString().split('T')[0];
+}
+
+/**
+ * Whole weeks from one week start to another.
+ * @param {string} fromWeekOf - Start Monday (YYYY-MM-DD)
+ * @param {string} toWeekOf - End Monday (YYYY-MM-DD)
+ * @returns {number} Number of weeks (negative if toWeekOf is earlier)
+ */
+export function weeksBetween(fromWeekOf, toWeekOf) {
+  return Math.round((parseDate(toWeekOf) - parseDate(fromWeekOf)) / (7 * DAY_MS));
+}